@@ -5,7 +5,59 @@ const CONFIG = {
     animationDuration: 300,
     scrollOffset: 80,
     notificationDuration: 4000,
+    notificationLimit: 3,           // toasts on screen at once; the rest wait their turn
+    version: '1.0.0',
     language: 'en',
+    languages: ['en', 'ko'],
+    localesPath: 'locales',
+    contact: {
+        // 'json', 'formservice' or 'mailto'; a form's data-transport attribute overrides it
+        transport: 'mailto',
+        endpoint: '',
+        recipient: 'neintosick96@gmail.com',
+        timeout: 15000,
+        spam: {
+            honeypot: 'website',          // hidden field only bots fill in
+            minSubmitTime: 3000,          // ms between showing the form and sending it
+            rateLimit: { max: 3, window: 60 * 60 * 1000 },
+            challenge: ''                 // name of a ChallengeProviders entry, e.g. 'local'
+        }
+    },
+    errorReporting: {
+        endpoint: '',                 // reporting is off while empty; '/api/errors' with tools/mock-server.js
+        sampleRate: 1,                // share of sessions that report
+        maxPerSession: 20,
+        batchSize: 10,
+        flushInterval: 5000
+    },
+    performance: {
+        // Name of a VitalsSinks entry. Empty means 'beacon' once endpoint is set and
+        // 'none' until then; 'console' prints the values for local debugging
+        sink: '',
+        endpoint: '',                 // where the 'beacon' sink posts; '/api/vitals' with tools/mock-server.js
+        sampleRate: 1                 // share of page views that report
+    },
+    images: {
+        // Variants written by tools/build-images.js; originals are used while it is missing
+        manifest: 'assets/images/optimized/manifest.json',
+        rootMargin: '200px 0px',      // start loading this far ahead of the viewport
+        // `sizes` for images that have no layout width yet, by Utils.getDeviceType()
+        sizes: { mobile: '100vw', tablet: '50vw', desktop: '33vw' }
+    },
+    search: {
+        index: 'data/search-index.json',    // written by tools/build-search-index.js
+        maxResults: 8
+    },
+    analytics: {
+        endpoint: '',                 // off while empty; '/api/analytics' with tools/mock-server.js
+        batchSize: 20,
+        flushInterval: 10000          // ms; also flushed when the page is hidden
+    },
+    downloads: {
+        // Campaign values for store links when the page URL has none; utm_content is the page
+        defaults: { utm_source: 'website', utm_medium: 'store-badge' },
+        appStoreProviderToken: ''     // App Store Connect `pt`, for campaign analytics there
+    },
     breakpoints: {
         mobile: 768,
         tablet: 1024,
@@ -63,6 +115,127 @@ const Utils = {
         return 'desktop';
     },
 
+    // Get current page name (file name without .html); body[data-page] overrides it
+    getCurrentPage() {
+        if (document.body.dataset.page) return document.body.dataset.page;
+
+        const file = window.location.pathname.split('/').pop();
+        return file ? file.replace(/\.html$/, '') : 'index';
+    },
+
+    // Where a report came from; attached to every beacon
+    getPageContext() {
+        return {
+            page: Utils.getCurrentPage(),
+            url: window.location.pathname,
+            language: document.documentElement.lang,
+            device: Utils.getDeviceType(),
+            version: CONFIG.version
+        };
+    },
+
+    // Web Storage, which can be blocked (private mode, sandboxed frames) or full. Reads
+    // give null and writes return false instead of throwing, so a preference or draft
+    // simply doesn't survive. `area` 'session' uses sessionStorage.
+    storage: {
+        area(area) {
+            return area === 'session' ? window.sessionStorage : window.localStorage;
+        },
+
+        get(key, area) {
+            try {
+                return this.area(area).getItem(key);
+            } catch (error) {
+                return null;
+            }
+        },
+
+        set(key, value, area) {
+            try {
+                this.area(area).setItem(key, value);
+                return true;
+            } catch (error) {
+                return false;
+            }
+        },
+
+        remove(key, area) {
+            try {
+                this.area(area).removeItem(key);
+                return true;
+            } catch (error) {
+                return false;
+            }
+        },
+
+        // Parsed JSON, or null when missing, blocked or malformed
+        getJSON(key, area) {
+            const value = this.get(key, area);
+            try {
+                return value === null ? null : JSON.parse(value);
+            } catch (error) {
+                return null;
+            }
+        },
+
+        setJSON(key, value, area) {
+            return this.set(key, JSON.stringify(value), area);
+        }
+    },
+
+    // POST JSON that must survive the page unloading. text/plain is CORS-safelisted,
+    // so a collector on another origin needs no preflight.
+    sendBeacon(url, data) {
+        const body = JSON.stringify(data);
+
+        if (navigator.sendBeacon && navigator.sendBeacon(url, new Blob([body], { type: 'text/plain' }))) {
+            return;
+        }
+        // Beacon unavailable or its queue is full
+        fetch(url, { method: 'POST', body, keepalive: true }).catch(() => {});
+    },
+
+    // Short CSS-like label for an element, e.g. "img#hero" or "div.team-card.featured"
+    describeElement(element) {
+        if (!element || !element.tagName) return null;
+
+        const tag = element.tagName.toLowerCase();
+        if (element.id) return `${tag}#${element.id}`;
+
+        const classes = Array.from(element.classList).slice(0, 2);
+        return classes.length ? `${tag}.${classes.join('.')}` : tag;
+    },
+
+    // Copy text, falling back to a hidden textarea where the Clipboard API is unavailable
+    async copyToClipboard(text) {
+        if (navigator.clipboard && window.isSecureContext) {
+            await navigator.clipboard.writeText(text);
+            return;
+        }
+
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.setAttribute('readonly', '');
+        textarea.style.cssText = 'position: fixed; top: 0; left: -9999px;';
+        document.body.appendChild(textarea);
+        textarea.select();
+        const copied = document.execCommand('copy');
+        textarea.remove();
+        if (!copied) throw new Error('Copy command was rejected');
+    },
+
+    // Save generated text as a file
+    downloadFile(content, filename, type = 'text/plain') {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    },
+
     // Email validation
     isValidEmail(email) {
         const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -89,6 +262,7 @@ class MobileNavigation {
         this.navLinks = document.querySelector('.nav-links');
         this.body = document.body;
         this.isOpen = false;
+        this.listeners = new AbortController();
         
         this.init();
     }
@@ -119,30 +293,32 @@ class MobileNavigation {
     }
 
     bindEvents() {
+        const { signal } = this.listeners;
+
         this.navToggle.addEventListener('click', (e) => {
             e.preventDefault();
             this.toggle();
-        });
+        }, { signal });
 
         // Close menu when clicking outside
         document.addEventListener('click', (e) => {
             if (this.isOpen && !e.target.closest('nav')) {
                 this.close();
             }
-        });
+        }, { signal });
 
         // Close menu on escape key
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape' && this.isOpen) {
                 this.close();
             }
-        });
+        }, { signal });
 
         // Close menu when clicking nav links
         this.navLinks.querySelectorAll('a').forEach(link => {
             link.addEventListener('click', () => {
                 this.close();
-            });
+            }, { signal });
         });
 
         // Handle window resize
@@ -150,7 +326,12 @@ class MobileNavigation {
             if (Utils.getDeviceType() !== 'mobile' && this.isOpen) {
                 this.close();
             }
-        }, 250));
+        }, 250), { signal });
+    }
+
+    destroy() {
+        if (this.isOpen) this.close();
+        this.listeners.abort();
     }
 
     toggle() {
@@ -178,20 +359,143 @@ class MobileNavigation {
     }
 }
 
+// Motion Preference Class
+// Decides whether the site animates: the visitor's choice from the nav toggle
+// (kept in localStorage) wins, otherwise the system's prefers-reduced-motion.
+// While reduced, html.reduce-motion cuts CSS animations and transitions short and
+// components ask `reduced` before moving anything; a 'motionchange' event on
+// document announces changes.
+class MotionPreference {
+    constructor() {
+        this.query = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.reduced = false;
+        this.listeners = new AbortController();
+        this.init();
+    }
+
+    init() {
+        this.injectStyles();
+        this.createToggle();
+        this.update();
+
+        this.query.addEventListener('change', () => this.update(), { signal: this.listeners.signal });
+    }
+
+    injectStyles() {
+        const style = document.createElement('style');
+        style.textContent = `
+            html.reduce-motion *,
+            html.reduce-motion *::before,
+            html.reduce-motion *::after {
+                animation-duration: 0.01ms !important;
+                animation-delay: 0ms !important;
+                animation-iteration-count: 1 !important;
+                transition-duration: 0.01ms !important;
+                transition-delay: 0ms !important;
+                scroll-behavior: auto !important;
+            }
+        `;
+        document.head.appendChild(style);
+        this.style = style;
+    }
+
+    createToggle() {
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'motion-toggle';
+        toggle.textContent = '⏸';
+        toggle.setAttribute('aria-label', 'Reduce motion');
+        toggle.setAttribute('title', 'Reduce motion');
+        toggle.setAttribute('data-translate-aria-label', 'motion.reduce');
+        toggle.setAttribute('data-translate-title', 'motion.reduce');
+        toggle.style.cssText = `
+            background: none;
+            border: 1px solid var(--color-border);
+            border-radius: 20px;
+            color: var(--color-text-secondary);
+            padding: 0.5rem 0.75rem;
+            font-size: 0.8rem;
+            cursor: pointer;
+            transition: all 0.3s ease;
+            margin-left: 1rem;
+        `;
+
+        toggle.addEventListener('click', () => {
+            this.setReduced(!this.reduced);
+        }, { signal: this.listeners.signal });
+
+        const nav = document.querySelector('nav');
+        if (nav) {
+            nav.appendChild(toggle);
+        }
+        this.toggle = toggle;
+    }
+
+    // 'reduce', 'full' or null when the visitor has not chosen
+    getStoredPreference() {
+        const preference = Utils.storage.get(MotionPreference.STORAGE_KEY);
+        return preference === 'reduce' || preference === 'full' ? preference : null;
+    }
+
+    setReduced(reduced) {
+        Utils.storage.set(MotionPreference.STORAGE_KEY, reduced ? 'reduce' : 'full');
+        this.update();
+    }
+
+    update() {
+        const preference = this.getStoredPreference();
+        const reduced = preference ? preference === 'reduce' : this.query.matches;
+
+        document.documentElement.classList.toggle('reduce-motion', reduced);
+        this.toggle.setAttribute('aria-pressed', String(reduced));
+        this.toggle.textContent = reduced ? '▶' : '⏸';
+
+        if (reduced !== this.reduced) {
+            this.reduced = reduced;
+            document.dispatchEvent(new CustomEvent('motionchange', { detail: { reduced } }));
+        }
+    }
+
+    destroy() {
+        this.listeners.abort();
+        this.toggle.remove();
+        this.style.remove();
+        document.documentElement.classList.remove('reduce-motion');
+    }
+}
+
+MotionPreference.STORAGE_KEY = 'preferred-motion';
+
 // Scroll Animation Class
+// Fades elements in as they scroll into view. The hidden starting state is only ever
+// set here, inline, so without JavaScript everything stays visible; with reduced
+// motion, before printing or without IntersectionObserver elements are shown as is.
+// stagger-1..4 classes delay an element's entrance in ScrollAnimations.STAGGER_DELAY steps.
 class ScrollAnimations {
-    constructor() {
+    constructor(app) {
+        this.motion = app.components.motion;
         this.animatedElements = new Set();
+        this.pendingElements = new Set();
+        this.visibilityCallbacks = new Map();
         this.observer = null;
+        this.listeners = new AbortController();
         this.init();
     }
 
     init() {
         this.createObserver();
         this.observeElements();
+
+        const { signal } = this.listeners;
+        window.addEventListener('beforeprint', () => this.revealAll(), { signal });
+        document.addEventListener('motionchange', (e) => {
+            if (e.detail.reduced) this.revealAll();
+        }, { signal });
     }
 
     createObserver() {
+        if (!('IntersectionObserver' in window)) return;
+
         const options = {
             threshold: 0.1,
             rootMargin: '0px 0px -50px 0px'
@@ -199,7 +503,12 @@ class ScrollAnimations {
 
         this.observer = new IntersectionObserver((entries) => {
             entries.forEach(entry => {
-                if (entry.isIntersecting && !this.animatedElements.has(entry.target)) {
+                const callback = this.visibilityCallbacks.get(entry.target);
+                if (entry.isIntersecting && callback) {
+                    this.visibilityCallbacks.delete(entry.target);
+                    this.observer.unobserve(entry.target);
+                    callback(entry.target);
+                } else if (entry.isIntersecting && !this.animatedElements.has(entry.target)) {
                     this.animateElement(entry.target);
                     this.animatedElements.add(entry.target);
                 }
@@ -208,39 +517,341 @@ class ScrollAnimations {
     }
 
     observeElements() {
-        const elements = document.querySelectorAll('.fade-in-up, .fade-in-left, .fade-in-right, .scale-in');
-        elements.forEach(element => {
-            // Set initial state
-            element.style.opacity = '0';
-            if (element.classList.contains('fade-in-up')) {
-                element.style.transform = 'translateY(30px)';
-            } else if (element.classList.contains('fade-in-left')) {
-                element.style.transform = 'translateX(-30px)';
-            } else if (element.classList.contains('fade-in-right')) {
-                element.style.transform = 'translateX(30px)';
-            } else if (element.classList.contains('scale-in')) {
-                element.style.transform = 'scale(0.9)';
-            }
-            
-            element.style.transition = 'opacity 0.6s ease, transform 0.6s ease';
-            this.observer.observe(element);
-        });
+        const elements = document.querySelectorAll('.fade-in, .fade-in-up, .fade-in-left, .fade-in-right, .scale-in');
+        elements.forEach(element => this.observe(element));
+    }
+
+    isReduced() {
+        return Boolean(this.motion && this.motion.reduced);
+    }
+
+    // Animate an element the first time it scrolls into view; also used for
+    // elements rendered after start-up
+    observe(element) {
+        if (!this.observer || this.isReduced()) {
+            this.reveal(element);
+            return;
+        }
+
+        // Set initial state
+        element.style.opacity = '0';
+        if (element.classList.contains('fade-in-left')) {
+            element.style.transform = 'translateX(-30px)';
+        } else if (element.classList.contains('fade-in-right')) {
+            element.style.transform = 'translateX(30px)';
+        } else if (element.classList.contains('scale-in')) {
+            element.style.transform = 'scale(0.9)';
+        } else {
+            element.style.transform = 'translateY(30px)';
+        }
+
+        const delay = this.getStaggerDelay(element);
+        element.style.transition = `opacity 0.6s ease ${delay}ms, transform 0.6s ease ${delay}ms`;
+        this.pendingElements.add(element);
+        // Re-observing makes the observer report the element's current visibility
+        this.observer.unobserve(element);
+        this.observer.observe(element);
+    }
+
+    // Call back once when an element first scrolls into view, without animating it
+    // (e.g. StatCounter starting its count)
+    whenVisible(element, callback) {
+        if (!this.observer) {
+            callback(element);
+            return;
+        }
+
+        this.visibilityCallbacks.set(element, callback);
+        this.observer.unobserve(element);
+        this.observer.observe(element);
+    }
+
+    // Play the entrance again, e.g. for an element a filter has just shown
+    replay(element) {
+        this.animatedElements.delete(element);
+        element.classList.remove('visible', 'animation-complete');
+        this.observe(element);
+    }
+
+    getStaggerDelay(element) {
+        const match = element.className.match(/\bstagger-(\d+)\b/);
+        return match ? Number(match[1]) * ScrollAnimations.STAGGER_DELAY : 0;
     }
 
     animateElement(element) {
+        this.pendingElements.delete(element);
         element.style.opacity = '1';
         element.style.transform = 'translateY(0) translateX(0) scale(1)';
+        element.classList.add('visible');
         
         // Add completion class for custom styling
         setTimeout(() => {
+            if (!element.classList.contains('visible')) return;
             element.classList.add('animation-complete');
-        }, 600);
+            // Hand the element back to its stylesheet so hover transforms work again
+            element.style.removeProperty('opacity');
+            element.style.removeProperty('transform');
+            element.style.removeProperty('transition');
+        }, 600 + this.getStaggerDelay(element));
+    }
+
+    // Show an element in its final state straight away
+    reveal(element) {
+        this.pendingElements.delete(element);
+        this.animatedElements.add(element);
+        if (this.observer) this.observer.unobserve(element);
+
+        element.style.removeProperty('opacity');
+        element.style.removeProperty('transform');
+        element.style.removeProperty('transition');
+        element.classList.add('visible', 'animation-complete');
+    }
+
+    revealAll() {
+        this.pendingElements.forEach(element => this.reveal(element));
+    }
+
+    destroy() {
+        this.listeners.abort();
+        if (this.observer) this.observer.disconnect();
+    }
+}
+
+ScrollAnimations.STAGGER_DELAY = 100;
+
+// Responsive Images Class
+// Lazy-loads img[data-src] once it nears the viewport. When tools/build-images.js has
+// built variants for the image (CONFIG.images.manifest) the img is wrapped in a
+// <picture> offering AVIF and WebP srcsets and shows the blurred preview meanwhile;
+// otherwise the original file is loaded. The emoji .photo-placeholder next to the
+// image is only faded out once the image has actually loaded.
+class ResponsiveImages {
+    constructor() {
+        this.manifest = null;
+        this.observer = null;
+        this.init();
+    }
+
+    init() {
+        if ('IntersectionObserver' in window) {
+            this.observer = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (!entry.isIntersecting) return;
+                    this.observer.unobserve(entry.target);
+                    this.load(entry.target);
+                });
+            }, { rootMargin: CONFIG.images.rootMargin });
+        }
+
+        document.querySelectorAll('img[data-src]').forEach(img => this.observe(img));
+    }
+
+    // Load `img` when it scrolls near the viewport (straight away without
+    // IntersectionObserver); also used for images rendered after start-up
+    observe(img) {
+        if (!img.dataset.src || img.dataset.lazyState) return;
+
+        img.dataset.lazyState = 'waiting';
+        this.getManifest().then(manifest => this.showPreview(img, manifest[img.dataset.src]));
+
+        if (this.observer) {
+            this.observer.observe(img);
+        } else {
+            this.load(img);
+        }
+    }
+
+    // Fetched once; no manifest (variants not built) just means originals are used
+    getManifest() {
+        if (!this.manifest) {
+            this.manifest = fetch(CONFIG.images.manifest)
+                .then(response => (response.ok ? response.json() : {}))
+                .catch(() => ({}));
+        }
+        return this.manifest;
+    }
+
+    getPlaceholder(img) {
+        const sibling = (img.closest('picture') || img).nextElementSibling;
+        return sibling && sibling.classList.contains('photo-placeholder') ? sibling : null;
+    }
+
+    showPreview(img, variants) {
+        const placeholder = this.getPlaceholder(img);
+        if (!variants || !variants.placeholder || !placeholder || img.dataset.lazyState === 'loaded') return;
+
+        placeholder.style.backgroundImage = `url("${variants.placeholder}")`;
+        placeholder.classList.add('has-preview');
+    }
+
+    // Rendered width of the image, or a guess from the device class before layout
+    getSizes(img) {
+        const width = Math.ceil(img.getBoundingClientRect().width);
+        return width > 0 ? `${width}px` : CONFIG.images.sizes[Utils.getDeviceType()];
+    }
+
+    async load(img) {
+        if (img.dataset.lazyState !== 'waiting') return;
+        img.dataset.lazyState = 'loading';
+
+        const variants = (await this.getManifest())[img.dataset.src];
+
+        img.addEventListener('load', () => this.handleLoad(img), { once: true });
+        img.addEventListener('error', () => {
+            img.dataset.lazyState = 'failed';
+            img.style.display = 'none';
+        }, { once: true });
+
+        if (variants && variants.srcset) {
+            this.createSources(img, variants);
+        }
+        if (variants) {
+            img.width = variants.width;
+            img.height = variants.height;
+        }
+        img.src = img.dataset.src;
+    }
+
+    createSources(img, variants) {
+        const sizes = this.getSizes(img);
+        const picture = img.closest('picture') || document.createElement('picture');
+
+        Object.entries(variants.srcset).forEach(([format, srcset]) => {
+            const source = document.createElement('source');
+            source.type = `image/${format}`;
+            source.srcset = srcset;
+            source.sizes = sizes;
+            picture.appendChild(source);
+        });
+
+        if (!picture.parentNode) {
+            img.before(picture);
+        }
+        // The <img> has to come after its sources
+        picture.appendChild(img);
+    }
+
+    handleLoad(img) {
+        img.dataset.lazyState = 'loaded';
+        img.classList.add('loaded');
+
+        const placeholder = this.getPlaceholder(img);
+        if (!placeholder) return;
+
+        placeholder.classList.add('is-replaced');
+        setTimeout(() => placeholder.remove(), CONFIG.animationDuration);
+    }
+
+    destroy() {
+        if (this.observer) this.observer.disconnect();
+    }
+}
+
+// Stat Counter Class
+// Counts [data-count-to] numbers up from zero the first time they scroll into view
+// (through ScrollAnimations). data-prefix / data-suffix wrap the number,
+// data-decimals sets its precision and data-duration the length in ms; numbers are
+// formatted for the current language. The markup holds the final text, which is
+// what visitors without JavaScript or with reduced motion see.
+class StatCounter {
+    constructor(app) {
+        this.scrollAnimations = app.components.scrollAnimations;
+        this.languageSupport = app.components.languageSupport;
+        this.motion = app.components.motion;
+        this.counters = new Map();
+        this.listeners = new AbortController();
+        this.init();
+    }
+
+    init() {
+        document.querySelectorAll('[data-count-to]').forEach(element => this.observe(element));
+
+        document.addEventListener('languagechange', () => {
+            this.counters.forEach((state, element) => this.render(element, state.value));
+        }, { signal: this.listeners.signal });
+
+        // Switching motion off mid-count jumps to the final numbers
+        document.addEventListener('motionchange', (e) => {
+            if (e.detail.reduced) this.finish();
+        }, { signal: this.listeners.signal });
+    }
+
+    observe(element) {
+        const target = parseFloat(element.dataset.countTo);
+        if (!Number.isFinite(target)) {
+            console.warn('Invalid data-count-to:', element.dataset.countTo);
+            return;
+        }
+
+        const state = { target, value: target, frame: null };
+        this.counters.set(element, state);
+
+        if ((this.motion && this.motion.reduced) || !this.scrollAnimations) {
+            this.render(element, target);
+            return;
+        }
+
+        state.value = 0;
+        this.render(element, 0);
+        this.scrollAnimations.whenVisible(element, () => this.animate(element));
+    }
+
+    animate(element) {
+        const state = this.counters.get(element);
+        if (this.motion && this.motion.reduced) {
+            this.finish();
+            return;
+        }
+
+        const duration = parseInt(element.dataset.duration, 10) || StatCounter.DURATION;
+        const start = performance.now();
+
+        const step = (now) => {
+            const progress = Math.min((now - start) / duration, 1);
+            // Ease out: fast at first, settling on the target
+            state.value = progress === 1 ? state.target : state.target * (1 - Math.pow(1 - progress, 3));
+            this.render(element, state.value);
+            state.frame = progress < 1 ? requestAnimationFrame(step) : null;
+        };
+
+        state.frame = requestAnimationFrame(step);
+    }
+
+    render(element, value) {
+        const decimals = parseInt(element.dataset.decimals, 10) || 0;
+        const number = this.formatNumber(value, { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+
+        element.textContent = `${element.dataset.prefix || ''}${number}${element.dataset.suffix || ''}`;
+    }
+
+    formatNumber(value, options) {
+        if (this.languageSupport) return this.languageSupport.formatNumber(value, options);
+        return new Intl.NumberFormat(CONFIG.language, options).format(value);
+    }
+
+    finish() {
+        this.counters.forEach((state, element) => {
+            if (state.frame) cancelAnimationFrame(state.frame);
+            state.frame = null;
+            state.value = state.target;
+            this.render(element, state.target);
+        });
+    }
+
+    destroy() {
+        this.listeners.abort();
+        this.finish();
+        this.counters.clear();
     }
 }
 
+StatCounter.DURATION = 2000;
+
 // Smooth Scrolling Class
 class SmoothScrolling {
-    constructor() {
+    constructor(app) {
+        this.motion = app.components.motion;
+        this.listeners = new AbortController();
         this.init();
     }
 
@@ -258,7 +869,11 @@ class SmoothScrolling {
 
             e.preventDefault();
             this.scrollToElement(href);
-        });
+        }, { signal: this.listeners.signal });
+    }
+
+    destroy() {
+        this.listeners.abort();
     }
 
     scrollToElement(selector) {
@@ -269,17 +884,19 @@ class SmoothScrolling {
         
         window.scrollTo({
             top: offsetTop,
-            behavior: 'smooth'
+            behavior: this.motion && this.motion.reduced ? 'auto' : 'smooth'
         });
     }
 }
 
 // Header Scroll Effects Class
 class HeaderEffects {
-    constructor() {
+    constructor(app) {
+        this.motion = app.components.motion;
         this.header = document.querySelector('header');
         this.lastScrollY = window.scrollY;
         this.ticking = false;
+        this.listeners = new AbortController();
         
         this.init();
     }
@@ -292,7 +909,15 @@ class HeaderEffects {
     bindEvents() {
         window.addEventListener('scroll', () => {
             this.requestTick();
-        });
+        }, { signal: this.listeners.signal });
+    }
+
+    destroy() {
+        this.listeners.abort();
+        if (this.header) {
+            this.header.classList.remove('scrolled');
+            this.header.style.transform = '';
+        }
     }
 
     requestTick() {
@@ -315,8 +940,9 @@ class HeaderEffects {
             this.header.classList.remove('scrolled');
         }
 
-        // Hide/show header on scroll direction
-        if (currentScrollY > this.lastScrollY && currentScrollY > 300) {
+        // Hide/show header on scroll direction; it stays put when motion is reduced
+        const reduced = this.motion && this.motion.reduced;
+        if (!reduced && currentScrollY > this.lastScrollY && currentScrollY > 300) {
             this.header.style.transform = 'translateY(-100%)';
         } else {
             this.header.style.transform = 'translateY(0)';
@@ -327,9 +953,21 @@ class HeaderEffects {
 }
 
 // Form Validation Class
+// Messages go through LanguageSupport when it is loaded. Besides required, type and
+// minlength, fields can declare rules in markup:
+//   pattern="..." (whole value)            maxlength="200"
+//   data-match="email" (another field's name)
+//   data-required-group on a fieldset: at least one checkbox inside must be checked
+//   data-async-rule="name" (see FormValidator.registerAsyncRule)
+//   data-phone="intl" on tel fields that should not expect a Korean number
+// data-<rule>-message (e.g. data-pattern-message) replaces the default message; it may
+// be a translation key or plain text.
 class FormValidator {
-    constructor() {
+    constructor(app) {
+        this.app = app;
         this.forms = document.querySelectorAll('form');
+        this.asyncResults = new WeakMap();
+        this.listeners = new AbortController();
         this.init();
     }
 
@@ -337,6 +975,13 @@ class FormValidator {
         this.forms.forEach(form => {
             this.setupForm(form);
         });
+
+        // Re-render visible errors in the new language
+        document.addEventListener('languagechange', () => {
+            this.forms.forEach(form => {
+                form.querySelectorAll('.error').forEach(element => this.validateElement(element));
+            });
+        }, { signal: this.listeners.signal });
     }
 
     setupForm(form) {
@@ -346,35 +991,74 @@ class FormValidator {
             this.setupField(field);
         });
 
+        form.querySelectorAll('[data-required-group]').forEach(group => {
+            group.addEventListener('change', () => {
+                this.validateGroup(group);
+            }, { signal: this.listeners.signal });
+        });
+
+        // Registered before any page module, so stopping propagation keeps their
+        // submit handlers from seeing a form that has not passed validation
         form.addEventListener('submit', (e) => {
-            if (!this.validateForm(form)) {
-                e.preventDefault();
+            if (this.validateForm(form)) return;
+
+            e.preventDefault();
+            e.stopImmediatePropagation();
+
+            if (this.hasPendingChecks(form)) {
+                this.validateFormAsync(form).then(isValid => {
+                    if (isValid) {
+                        // Submit again, now with every check settled
+                        if (e.submitter) {
+                            form.requestSubmit(e.submitter);
+                        } else {
+                            form.requestSubmit();
+                        }
+                    } else {
+                        this.showFormErrors(form);
+                    }
+                });
+            } else {
                 this.showFormErrors(form);
             }
-        });
+        }, { signal: this.listeners.signal });
     }
 
     setupField(field) {
+        const { signal } = this.listeners;
+
         // Real-time validation
         field.addEventListener('blur', () => {
             this.validateField(field);
-        });
+        }, { signal });
 
         // Email validation on input
         if (field.type === 'email') {
             field.addEventListener('input', Utils.debounce(() => {
                 this.validateEmail(field);
-            }, 300));
+            }, 300), { signal });
+        }
+
+        // Re-check a confirmation field when the field it mirrors changes
+        const matchedField = this.getMatchedField(field);
+        if (matchedField) {
+            matchedField.addEventListener('input', () => {
+                if (field.value && (field.classList.contains('error') || field.classList.contains('success'))) {
+                    this.validateField(field);
+                }
+            }, { signal });
         }
 
         // Clear errors on focus
         field.addEventListener('focus', () => {
             this.clearFieldError(field);
-        });
+        }, { signal });
     }
 
+    // Synchronous pass; async rules count only once their result for the current value is known
     validateForm(form) {
-        const fields = form.querySelectorAll('[required]');
+        const fields = form.querySelectorAll('input, select, textarea');
+        const groups = form.querySelectorAll('[data-required-group]');
         let isValid = true;
 
         fields.forEach(field => {
@@ -383,69 +1067,268 @@ class FormValidator {
             }
         });
 
+        groups.forEach(group => {
+            if (!this.validateGroup(group)) {
+                isValid = false;
+            }
+        });
+
         return isValid;
     }
 
+    async validateFormAsync(form) {
+        this.validateForm(form);
+        await Promise.all([...form.querySelectorAll('[data-async-rule]')].map(field => this.asyncResults.get(field)?.promise));
+        return this.validateForm(form);
+    }
+
+    hasPendingChecks(form) {
+        return [...form.querySelectorAll('[data-async-rule]')].some(field => {
+            const result = this.asyncResults.get(field);
+            return result && result.value === field.value.trim() && result.pending;
+        });
+    }
+
+    validateElement(element) {
+        return element.matches('[data-required-group]') ? this.validateGroup(element) : this.validateField(element);
+    }
+
     validateField(field) {
-        const value = field.value.trim();
+        if (this.isExempt(field)) return true;
+
+        const isCheckable = field.type === 'checkbox' || field.type === 'radio';
+        const value = isCheckable ? (field.checked ? field.value : '') : field.value.trim();
         const isRequired = field.hasAttribute('required');
-        let isValid = true;
 
-        // Required field validation
-        if (isRequired && !value) {
-            this.setFieldError(field, 'This field is required');
-            isValid = false;
-        }
-        // Email validation
-        else if (field.type === 'email' && value && !Utils.isValidEmail(value)) {
-            this.setFieldError(field, 'Please enter a valid email address');
-            isValid = false;
-        }
-        // Phone validation
-        else if (field.type === 'tel' && value && !/^[\d\s\-\+\(\)]+$/.test(value)) {
-            this.setFieldError(field, 'Please enter a valid phone number');
-            isValid = false;
-        }
-        // Minimum length validation
-        else if (field.hasAttribute('minlength')) {
-            const minLength = parseInt(field.getAttribute('minlength'));
-            if (value.length < minLength) {
-                this.setFieldError(field, `Minimum ${minLength} characters required`);
-                isValid = false;
-            }
+        // Optional and empty: nothing to check
+        if (!isRequired && !value) {
+            this.clearFieldError(field);
+            return true;
         }
 
-        if (isValid) {
-            this.setFieldSuccess(field);
+        const error = this.getFieldError(field, value);
+        if (error) {
+            this.setFieldError(field, error);
+            return false;
         }
 
-        return isValid;
-    }
-
-    validateEmail(field) {
-        const value = field.value.trim();
-        
-        if (value && !Utils.isValidEmail(value)) {
-            field.style.borderColor = '#f59e0b';
-            field.style.boxShadow = '0 0 0 3px rgba(245, 158, 11, 0.1)';
-        } else if (value) {
-            this.setFieldSuccess(field);
+        if (field.dataset.asyncRule) {
+            return this.checkAsyncResult(field, value);
         }
+
+        this.setFieldSuccess(field);
+        return true;
     }
 
-    setFieldError(field, message) {
+    // First failing rule's message, or null
+    getFieldError(field, value) {
+        if (!value) {
+            return this.getMessage(field, 'required', 'form.required');
+        }
+        if (field.type === 'email' && !Utils.isValidEmail(value)) {
+            return this.getMessage(field, 'email', 'form.email.invalid');
+        }
+        if (field.type === 'tel' && !this.isValidPhone(field, value)) {
+            return this.getMessage(field, 'phone', 'form.phone.invalid');
+        }
+        if (field.hasAttribute('minlength')) {
+            const min = parseInt(field.getAttribute('minlength'));
+            if (value.length < min) {
+                return this.getMessage(field, 'minlength', 'form.minlength', { min, count: min });
+            }
+        }
+        if (field.hasAttribute('maxlength')) {
+            const max = parseInt(field.getAttribute('maxlength'));
+            if (value.length > max) {
+                return this.getMessage(field, 'maxlength', 'form.maxlength', { max, count: max });
+            }
+        }
+        if (field.hasAttribute('pattern') && !this.matchesPattern(field.getAttribute('pattern'), value)) {
+            return this.getMessage(field, 'pattern', 'form.pattern');
+        }
+
+        const matchedField = this.getMatchedField(field);
+        if (matchedField && value !== matchedField.value.trim()) {
+            return this.getMessage(field, 'match', 'form.match', { field: this.getFieldLabel(matchedField) });
+        }
+
+        return null;
+    }
+
+    // Buttons and hidden/disabled fields never block a form; group members are checked as a group
+    isExempt(field) {
+        return field.disabled ||
+            ['button', 'submit', 'reset', 'hidden'].includes(field.type) ||
+            Boolean(field.closest('[data-required-group]'));
+    }
+
+    isValidPhone(field, value) {
+        const pattern = FormValidator.PHONE_PATTERNS[field.dataset.phone] || FormValidator.PHONE_PATTERNS.kr;
+        return pattern.test(value);
+    }
+
+    // Same semantics as the HTML pattern attribute: the whole value must match
+    matchesPattern(pattern, value) {
+        try {
+            return new RegExp(`^(?:${pattern})$`, 'u').test(value);
+        } catch (error) {
+            console.warn(`Invalid pattern "${pattern}":`, error);
+            return true;
+        }
+    }
+
+    getMatchedField(field) {
+        if (!field.dataset.match || !field.form) return null;
+
+        const matchedField = field.form.elements.namedItem(field.dataset.match);
+        return matchedField instanceof HTMLElement ? matchedField : null;
+    }
+
+    getFieldLabel(field) {
+        const label = field.labels && field.labels[0];
+        return label ? label.textContent.replace('*', '').trim() : field.name;
+    }
+
+    validateGroup(group) {
+        const checked = group.querySelector('input[type="checkbox"]:checked');
+
+        if (!checked) {
+            this.setFieldError(group, this.getMessage(group, 'group', 'form.group.required'));
+            return false;
+        }
+
+        this.setFieldSuccess(group);
+        return true;
+    }
+
+    // Async rules resolve to true, false or a message (translation key or text)
+    static registerAsyncRule(name, check) {
+        FormValidator.asyncRules[name] = check;
+    }
+
+    checkAsyncResult(field, value) {
+        const result = this.asyncResults.get(field);
+
+        if (!result || result.value !== value) {
+            this.runAsyncRule(field);
+            this.setFieldPending(field);
+            return false;
+        }
+        if (result.pending) {
+            this.setFieldPending(field);
+            return false;
+        }
+        if (result.error) {
+            this.setFieldError(field, result.error);
+            return false;
+        }
+
+        this.setFieldSuccess(field);
+        return true;
+    }
+
+    runAsyncRule(field) {
+        const value = field.value.trim();
+        const current = this.asyncResults.get(field);
+        if (current && current.value === value) return current.promise;
+
+        const check = FormValidator.asyncRules[field.dataset.asyncRule];
+        if (!check) {
+            console.warn(`Unknown async rule "${field.dataset.asyncRule}"`);
+            this.asyncResults.set(field, { value, pending: false, error: null, promise: Promise.resolve() });
+            return Promise.resolve();
+        }
+
+        if (current && current.pending) current.controller.abort();
+        const controller = new AbortController();
+        const result = { value, pending: true, error: null, controller };
+
+        result.promise = Promise.resolve()
+            .then(() => check(value, field, { signal: controller.signal }))
+            .then(outcome => {
+                if (outcome === false) {
+                    result.error = this.getMessage(field, 'async', 'form.async.invalid');
+                } else if (typeof outcome === 'string') {
+                    result.error = this.resolveMessage(outcome);
+                }
+            })
+            .catch(error => {
+                // A failed check should not lock people out of the form
+                if (error.name !== 'AbortError') {
+                    console.warn(`Async rule "${field.dataset.asyncRule}" failed:`, error);
+                }
+            })
+            .finally(() => {
+                result.pending = false;
+                // Show the outcome unless the value changed in the meantime
+                if (this.asyncResults.get(field) === result && field.value.trim() === value) {
+                    this.validateField(field);
+                }
+            });
+
+        this.asyncResults.set(field, result);
+        return result.promise;
+    }
+
+    getMessage(element, rule, key, params = {}) {
+        const custom = element.dataset[`${rule}Message`];
+        return custom ? this.resolveMessage(custom, params) : this.translate(key, params);
+    }
+
+    resolveMessage(text, params = {}) {
+        const languageSupport = this.app && this.app.components.languageSupport;
+        if (languageSupport && languageSupport.hasTranslation(text)) {
+            return languageSupport.getTranslation(text, params);
+        }
+        return this.interpolate(text, params);
+    }
+
+    translate(key, params = {}) {
+        const languageSupport = this.app && this.app.components.languageSupport;
+        if (languageSupport && languageSupport.hasTranslation(key)) {
+            return languageSupport.getTranslation(key, params);
+        }
+        return this.interpolate(FormValidator.MESSAGES[key] || key, params);
+    }
+
+    interpolate(text, params) {
+        return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    }
+
+    validateEmail(field) {
+        const value = field.value.trim();
+        
+        if (value && !Utils.isValidEmail(value)) {
+            field.style.borderColor = 'var(--color-warning)';
+            field.style.boxShadow = '0 0 0 3px rgba(245, 158, 11, 0.1)';
+        } else if (value) {
+            this.setFieldSuccess(field);
+        }
+    }
+
+    setFieldError(field, message) {
+        field.classList.remove('success');
         field.classList.add('error');
-        field.style.borderColor = '#ef4444';
+        field.style.borderColor = 'var(--color-error)';
         field.style.boxShadow = '0 0 0 3px rgba(239, 68, 68, 0.1)';
         
         this.removeFieldMessage(field);
         this.addFieldMessage(field, message, 'error');
     }
 
+    setFieldPending(field) {
+        field.classList.remove('error', 'success');
+        field.style.borderColor = 'var(--color-border)';
+        field.style.boxShadow = 'none';
+
+        this.removeFieldMessage(field);
+        this.addFieldMessage(field, this.translate('form.checking'), 'pending');
+    }
+
     setFieldSuccess(field) {
         field.classList.remove('error');
         field.classList.add('success');
-        field.style.borderColor = '#10b981';
+        field.style.borderColor = 'var(--color-success)';
         field.style.boxShadow = '0 0 0 3px rgba(16, 185, 129, 0.1)';
         
         this.removeFieldMessage(field);
@@ -453,18 +1336,27 @@ class FormValidator {
 
     clearFieldError(field) {
         field.classList.remove('error', 'success');
-        field.style.borderColor = '#e5e7eb';
+        field.style.borderColor = 'var(--color-border)';
         field.style.boxShadow = 'none';
         
         this.removeFieldMessage(field);
     }
 
+    // Groups hold their own message; fields put it after themselves
+    getMessageContainer(element) {
+        return element.matches('[data-required-group]') ? element : element.parentNode;
+    }
+
     addFieldMessage(field, message, type) {
+        const colors = { error: 'var(--color-error)', pending: 'var(--color-text-muted)' };
         const messageElement = document.createElement('div');
         messageElement.className = `field-message field-message-${type}`;
         messageElement.textContent = message;
+        if (type === 'error') {
+            messageElement.setAttribute('role', 'alert');
+        }
         messageElement.style.cssText = `
-            color: ${type === 'error' ? '#ef4444' : '#10b981'};
+            color: ${colors[type] || 'var(--color-success)'};
             font-size: 0.8rem;
             margin-top: 0.25rem;
             display: flex;
@@ -472,11 +1364,11 @@ class FormValidator {
             gap: 0.25rem;
         `;
         
-        field.parentNode.appendChild(messageElement);
+        this.getMessageContainer(field).appendChild(messageElement);
     }
 
     removeFieldMessage(field) {
-        const existing = field.parentNode.querySelector('.field-message');
+        const existing = this.getMessageContainer(field).querySelector(':scope > .field-message');
         if (existing) {
             existing.remove();
         }
@@ -485,16 +1377,255 @@ class FormValidator {
     showFormErrors(form) {
         const firstError = form.querySelector('.error');
         if (firstError) {
+            const target = firstError.matches('[data-required-group]')
+                ? firstError.querySelector('input')
+                : firstError;
             firstError.scrollIntoView({ behavior: 'smooth', block: 'center' });
-            firstError.focus();
+            target.focus();
+        }
+    }
+
+    destroy() {
+        this.listeners.abort();
+    }
+}
+
+// English defaults; LanguageSupport translations take precedence
+FormValidator.MESSAGES = {
+    'form.required': 'This field is required',
+    'form.email.invalid': 'Please enter a valid email address',
+    'form.phone.invalid': 'Please enter a valid phone number (e.g. 010-1234-5678)',
+    'form.minlength': 'Minimum {min} characters required',
+    'form.maxlength': 'Maximum {max} characters allowed',
+    'form.pattern': 'Please match the requested format',
+    'form.match': 'This must match the {field} field',
+    'form.group.required': 'Please select at least one option',
+    'form.async.invalid': 'This value is not available',
+    'form.checking': 'Checking...'
+};
+
+// Mobile numbers such as 010-1234-5678, 01012345678 or +82 10-1234-5678 by default;
+// data-phone="intl" accepts any +country number
+FormValidator.PHONE_PATTERNS = {
+    kr: /^(?:0|\+82[\s-]?)1[016789][\s-]?\d{3,4}[\s-]?\d{4}$/,
+    intl: /^\+[1-9]\d{0,2}(?:[\s-]?\d{1,4}){2,5}$/
+};
+
+FormValidator.asyncRules = {};
+
+// Draft Autosave Class
+// Keeps what visitors type into FormValidator-managed forms in localStorage, one draft
+// per form, and offers to restore it on their next visit. Resetting a form (which the
+// contact flow does after sending) discards its draft. Passwords, hidden fields, the
+// spam honeypot and anything marked data-draft="off" (field or whole form) are never saved.
+class FormDrafts {
+    constructor(app) {
+        this.forms = [...app.getComponent('formValidator').forms].filter(form => form.dataset.draft !== 'off');
+        this.languageSupport = app.components.languageSupport;
+        this.prompts = [];
+        this.listeners = new AbortController();
+        this.init();
+    }
+
+    init() {
+        const { signal } = this.listeners;
+
+        this.forms.forEach(form => {
+            this.setupForm(form);
+        });
+
+        // Debounced saves may not have run yet when the tab closes
+        window.addEventListener('pagehide', () => {
+            this.forms.forEach(form => this.save(form));
+        }, { signal });
+    }
+
+    setupForm(form) {
+        const { signal } = this.listeners;
+        const draft = FormDrafts.load(FormDrafts.keyFor(form));
+        if (draft) {
+            this.showRestorePrompt(form, draft);
+        }
+
+        const save = Utils.debounce(() => this.save(form), 500);
+        form.addEventListener('input', save, { signal });
+        form.addEventListener('change', save, { signal });
+
+        form.addEventListener('reset', () => {
+            FormDrafts.remove(FormDrafts.keyFor(form));
+            this.removePrompt(form);
+        }, { signal });
+    }
+
+    static keyFor(form) {
+        const name = form.id || form.getAttribute('name') || [...document.forms].indexOf(form);
+        return `${FormDrafts.STORAGE_PREFIX}${Utils.getCurrentPage()}:${name}`;
+    }
+
+    static load(key) {
+        const draft = Utils.storage.getJSON(key);
+        return draft && draft.fields ? draft : null;
+    }
+
+    // Storage full or blocked: the form still works, just without drafts
+    static store(key, fields) {
+        Utils.storage.setJSON(key, { savedAt: Date.now(), fields });
+    }
+
+    static remove(key) {
+        Utils.storage.remove(key);
+    }
+
+    isSaved(field) {
+        return field.name &&
+            !['password', 'hidden', 'file', 'submit', 'button', 'reset'].includes(field.type) &&
+            field.name !== CONFIG.contact.spam.honeypot &&
+            field.dataset.draft !== 'off';
+    }
+
+    // Checkbox values are kept as arrays so groups sharing a name restore correctly
+    collectFields(form) {
+        const fields = {};
+
+        [...form.elements].filter(field => this.isSaved(field)).forEach(field => {
+            if (field.type === 'checkbox') {
+                fields[field.name] = fields[field.name] || [];
+                if (field.checked) fields[field.name].push(field.value);
+            } else if (field.type === 'radio') {
+                if (field.checked) fields[field.name] = field.value;
+            } else {
+                fields[field.name] = field.value;
+            }
+        });
+
+        return fields;
+    }
+
+    hasContent(fields) {
+        return Object.values(fields).some(value => (Array.isArray(value) ? value.length > 0 : value.trim() !== ''));
+    }
+
+    save(form) {
+        const key = FormDrafts.keyFor(form);
+        const fields = this.collectFields(form);
+
+        if (this.hasContent(fields)) {
+            FormDrafts.store(key, fields);
+        } else {
+            FormDrafts.remove(key);
+        }
+    }
+
+    restore(form, fields) {
+        [...form.elements].filter(field => this.isSaved(field) && field.name in fields).forEach(field => {
+            const value = fields[field.name];
+
+            if (field.type === 'checkbox') {
+                field.checked = [].concat(value).includes(field.value);
+            } else if (field.type === 'radio') {
+                field.checked = field.value === value;
+            } else {
+                field.value = value;
+            }
+        });
+    }
+
+    showRestorePrompt(form, draft) {
+        const time = new Date(draft.savedAt).toLocaleString(document.documentElement.lang, {
+            dateStyle: 'medium',
+            timeStyle: 'short'
+        });
+
+        const prompt = document.createElement('div');
+        prompt.className = 'draft-prompt';
+        prompt.setAttribute('role', 'status');
+        prompt.innerHTML = `
+            <span data-translate="drafts.prompt"></span>
+            <button type="button" class="draft-restore" data-translate="drafts.restore">Restore</button>
+            <button type="button" class="draft-discard" data-translate="drafts.discard">Discard</button>
+        `;
+        const message = prompt.querySelector('[data-translate="drafts.prompt"]');
+        message.textContent = `You have an unsent draft from ${time}.`;
+        message.dataset.translateParams = JSON.stringify({ time });
+
+        prompt.style.cssText = `
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 0.75rem;
+            padding: 0.75rem 1rem;
+            background: var(--color-primary-soft);
+            border: 1px solid var(--color-primary-muted);
+            border-radius: 10px;
+            font-size: 0.9rem;
+            color: var(--color-text-secondary);
+        `;
+        prompt.querySelectorAll('button').forEach(button => {
+            button.style.cssText = `
+                background: none;
+                border: 1px solid var(--color-primary);
+                border-radius: 20px;
+                padding: 0.25rem 0.9rem;
+                color: var(--color-primary);
+                font: inherit;
+                cursor: pointer;
+            `;
+        });
+
+        prompt.querySelector('.draft-restore').addEventListener('click', () => {
+            this.restore(form, draft.fields);
+            this.removePrompt(form);
+            const firstField = form.querySelector('input:not([type="hidden"]), select, textarea');
+            if (firstField) firstField.focus();
+        });
+
+        prompt.querySelector('.draft-discard').addEventListener('click', () => {
+            FormDrafts.remove(FormDrafts.keyFor(form));
+            this.removePrompt(form);
+        });
+
+        if (this.languageSupport) {
+            this.languageSupport.applyTranslations(prompt);
         }
+
+        form.insertBefore(prompt, form.firstChild);
+        this.prompts.push({ form, prompt });
+    }
+
+    removePrompt(form) {
+        this.prompts = this.prompts.filter(entry => {
+            if (entry.form !== form) return true;
+            entry.prompt.remove();
+            return false;
+        });
+    }
+
+    destroy() {
+        this.listeners.abort();
+        this.prompts.forEach(({ prompt }) => prompt.remove());
     }
 }
 
+FormDrafts.STORAGE_PREFIX = 'form-draft:';
+
 // Notification System Class
+// Toasts are queued: at most CONFIG.notificationLimit are on screen and the rest wait
+// their turn. A message identical to one already showing or waiting is not repeated;
+// the existing toast counts it and restarts its timer. Timers pause while a toast is
+// hovered or focused. Each toast is read out through window.announce, assertively for
+// errors and warnings and politely otherwise.
+//
+//   show(message, type, 5000)
+//   show(message, type, { duration, persistent, actions: [{ label, onClick, dismiss }] })
+//
+// A duration of 0 or `persistent: true` keeps a toast until it is dismissed or remove()d.
 class NotificationSystem {
-    constructor() {
+    constructor(app) {
+        this.app = app;
         this.container = null;
+        this.queue = [];
+        this.visible = [];
+        this.states = new Map();
         this.createContainer();
     }
 
@@ -511,41 +1642,128 @@ class NotificationSystem {
         document.body.appendChild(this.container);
     }
 
-    show(message, type = 'info', duration = CONFIG.notificationDuration) {
-        const notification = this.createNotification(message, type);
-        this.container.appendChild(notification);
+    show(message, type = 'info', options = CONFIG.notificationDuration) {
+        const { duration = CONFIG.notificationDuration, persistent = false, actions = [] } =
+            typeof options === 'number' ? { duration: options } : options;
 
-        // Animate in
-        setTimeout(() => {
-            notification.style.opacity = '1';
-            notification.style.transform = 'translateX(0)';
-        }, 100);
+        const duplicate = this.findDuplicate(message, type);
+        if (duplicate) {
+            this.repeat(duplicate);
+            return duplicate;
+        }
 
-        // Auto remove
-        setTimeout(() => {
-            this.remove(notification);
-        }, duration);
+        const notification = this.createNotification(message, type, actions);
+        this.states.set(notification, {
+            key: `${type}:${message}`,
+            message,
+            type,
+            remaining: persistent ? 0 : duration,
+            timer: null,
+            startedAt: 0,
+            count: 1,
+            paused: new Set()
+        });
+
+        this.queue.push(notification);
+        this.showNext();
 
         return notification;
     }
 
-    createNotification(message, type) {
+    findDuplicate(message, type) {
+        const key = `${type}:${message}`;
+        return [...this.visible, ...this.queue].find(notification => this.states.get(notification).key === key);
+    }
+
+    repeat(notification) {
+        const state = this.states.get(notification);
+        state.count += 1;
+
+        const badge = notification.querySelector('.notification-count');
+        badge.textContent = `×${state.count}`;
+        badge.hidden = false;
+
+        // Start the full duration again
+        if (this.visible.includes(notification) && state.timer) {
+            clearTimeout(state.timer);
+            state.remaining = state.duration;
+            this.startTimer(notification);
+        }
+    }
+
+    showNext() {
+        while (this.visible.length < CONFIG.notificationLimit && this.queue.length > 0) {
+            const notification = this.queue.shift();
+            const state = this.states.get(notification);
+
+            this.visible.push(notification);
+            this.container.appendChild(notification);
+
+            // Animate in
+            setTimeout(() => {
+                notification.style.opacity = '1';
+                notification.style.transform = 'translateX(0)';
+            }, 100);
+
+            this.announce(state);
+            state.duration = state.remaining;
+            this.startTimer(notification);
+        }
+    }
+
+    announce(state) {
+        if (typeof window.announce !== 'function') return;
+        window.announce(state.message, NotificationSystem.POLITENESS[state.type] || 'polite');
+    }
+
+    startTimer(notification) {
+        const state = this.states.get(notification);
+        if (!state.remaining || state.paused.size > 0) return;
+
+        state.startedAt = Date.now();
+        state.timer = setTimeout(() => this.remove(notification), state.remaining);
+    }
+
+    // Hover and focus each hold the timer; it runs again once neither does
+    pause(notification, reason) {
+        const state = this.states.get(notification);
+        if (!state) return;
+
+        state.paused.add(reason);
+        if (state.timer) {
+            clearTimeout(state.timer);
+            state.timer = null;
+            state.remaining = Math.max(state.remaining - (Date.now() - state.startedAt), 1000);
+        }
+    }
+
+    resume(notification, reason) {
+        const state = this.states.get(notification);
+        if (!state) return;
+
+        state.paused.delete(reason);
+        if (this.visible.includes(notification)) {
+            this.startTimer(notification);
+        }
+    }
+
+    createNotification(message, type, actions) {
         const notification = document.createElement('div');
         notification.className = `notification notification-${type}`;
         
         const colors = {
-            success: { bg: '#10b981', border: '#059669' },
-            error: { bg: '#ef4444', border: '#dc2626' },
-            warning: { bg: '#f59e0b', border: '#d97706' },
-            info: { bg: '#7c3aed', border: '#6d28d9' }
+            success: { bg: 'var(--color-success)', border: 'var(--color-success-strong)' },
+            error: { bg: 'var(--color-error)', border: 'var(--color-error-strong)' },
+            warning: { bg: 'var(--color-warning)', border: 'var(--color-warning-strong)' },
+            info: { bg: 'var(--color-primary)', border: 'var(--color-primary-strong)' }
         };
 
         const color = colors[type] || colors.info;
         
         notification.style.cssText = `
             background: ${color.bg};
-            color: white;
-            padding: 1rem 1.5rem;
+            color: var(--color-on-primary);
+            padding: 1rem 2.5rem 1rem 1.5rem;
             border-radius: 10px;
             border-left: 4px solid ${color.border};
             box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
@@ -571,20 +1789,84 @@ class NotificationSystem {
 
         notification.innerHTML = `
             <div style="display: flex; align-items: center; gap: 0.5rem;">
-                <span style="font-size: 1.1rem;">${icons[type] || icons.info}</span>
+                <span style="font-size: 1.1rem;" aria-hidden="true">${icons[type] || icons.info}</span>
                 <span>${Utils.sanitizeHTML(message)}</span>
+                <span class="notification-count" style="font-weight: 600; opacity: 0.85;" hidden></span>
             </div>
+            <button type="button" class="notification-close" aria-label="Dismiss" data-translate-aria-label="notification.dismiss"
+                style="position: absolute; top: 0.5rem; right: 0.5rem; background: none; border: none; color: inherit; font-size: 1.1rem; line-height: 1; cursor: pointer; padding: 0.25rem;">×</button>
         `;
 
+        if (actions.length > 0) {
+            notification.appendChild(this.createActions(notification, actions, color));
+        }
+
         // Click to dismiss
         notification.addEventListener('click', () => {
             this.remove(notification);
         });
 
+        notification.addEventListener('mouseenter', () => this.pause(notification, 'hover'));
+        notification.addEventListener('mouseleave', () => this.resume(notification, 'hover'));
+        notification.addEventListener('focusin', () => this.pause(notification, 'focus'));
+        notification.addEventListener('focusout', (e) => {
+            if (!notification.contains(e.relatedTarget)) this.resume(notification, 'focus');
+        });
+
+        const languageSupport = this.app.components.languageSupport;
+        if (languageSupport) languageSupport.applyTranslations(notification);
+
         return notification;
     }
 
+    // Buttons such as "Undo" or "Retry"; they dismiss the toast unless `dismiss: false`.
+    // `color` is the toast's theme colour pair, so the buttons follow the theme too.
+    createActions(notification, actions, color) {
+        const row = document.createElement('div');
+        row.className = 'notification-actions';
+        row.style.cssText = 'display: flex; gap: 0.5rem; margin-top: 0.75rem;';
+
+        actions.forEach(({ label, onClick, dismiss = true }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'notification-action';
+            button.textContent = label;
+            button.style.cssText = `
+                background: ${color.border};
+                border: 1px solid var(--color-on-primary);
+                border-radius: 20px;
+                color: inherit;
+                font: inherit;
+                font-weight: 600;
+                padding: 0.25rem 0.9rem;
+                cursor: pointer;
+            `;
+
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (onClick) onClick(notification);
+                if (dismiss) this.remove(notification);
+            });
+            row.appendChild(button);
+        });
+
+        return row;
+    }
+
     remove(notification) {
+        const state = this.states.get(notification);
+        if (!state) return;
+
+        clearTimeout(state.timer);
+        this.states.delete(notification);
+
+        // Still waiting its turn: it never showed
+        if (this.queue.includes(notification)) {
+            this.queue.splice(this.queue.indexOf(notification), 1);
+            return;
+        }
+
+        this.visible.splice(this.visible.indexOf(notification), 1);
         notification.style.opacity = '0';
         notification.style.transform = 'translateX(100%)';
         
@@ -592,42 +1874,94 @@ class NotificationSystem {
             if (notification.parentNode) {
                 notification.parentNode.removeChild(notification);
             }
+            this.showNext();
         }, 300);
     }
 
-    success(message) {
-        return this.show(message, 'success');
+    success(message, options) {
+        return this.show(message, 'success', options);
+    }
+
+    error(message, options) {
+        return this.show(message, 'error', options);
     }
 
-    error(message) {
-        return this.show(message, 'error');
+    warning(message, options) {
+        return this.show(message, 'warning', options);
     }
 
-    warning(message) {
-        return this.show(message, 'warning');
+    info(message, options) {
+        return this.show(message, 'info', options);
     }
 
-    info(message) {
-        return this.show(message, 'info');
+    destroy() {
+        this.states.forEach(state => clearTimeout(state.timer));
+        this.states.clear();
+        this.queue = [];
+        this.visible = [];
+        this.container.remove();
     }
 }
 
+// Live region politeness for each type's announcement
+NotificationSystem.POLITENESS = {
+    error: 'assertive',
+    warning: 'assertive',
+    success: 'polite',
+    info: 'polite'
+};
+
 // Multi-language Support Class
+// Markup ships in CONFIG.language. Elements opt in with data-translate="key" (text),
+// data-translate-html="key" (markup from our own locale files only) and
+// data-translate-alt / -aria-label / -title / -placeholder for attributes;
+// data-translate-params='{"count": 3}' feeds {name} interpolation and plural rules.
+// Page copy lives in locales/<language>/{common,<page>}.json, fetched on first use.
+// The active language travels between pages as ?lang= on internal links.
 class LanguageSupport {
     constructor() {
+        this.defaultLanguage = CONFIG.language;
         this.currentLanguage = CONFIG.language;
         this.translations = {};
+        this.localeRequests = {};
+        this.alternateLinks = [];
         this.init();
     }
 
     init() {
         this.loadTranslations();
         this.createLanguageToggle();
-        this.bindEvents();
+        this.createAlternateLinks();
+
+        const initialLanguage = this.negotiateLanguage();
+        if (initialLanguage !== this.currentLanguage) {
+            this.setLanguage(initialLanguage, { persist: false });
+        } else {
+            this.localizeLinks(document);
+        }
+    }
+
+    // ?lang= wins so shared links open as sent, then the saved choice, then the browser
+    negotiateLanguage() {
+        const browserLanguages = navigator.languages || [navigator.language];
+        const candidates = [this.getQueryLanguage(), this.getStoredLanguage(), ...browserLanguages];
+
+        return candidates
+            .map(language => this.normalizeLanguage(language))
+            .find(language => language && this.isSupported(language)) || this.defaultLanguage;
+    }
+
+    // 'ko-KR' -> 'ko'
+    normalizeLanguage(language) {
+        return typeof language === 'string' ? language.toLowerCase().split('-')[0] : null;
+    }
+
+    getQueryLanguage() {
+        return new URLSearchParams(window.location.search).get(LanguageSupport.QUERY_PARAM);
     }
 
     loadTranslations() {
-        // Basic translations for common elements
+        // Core strings needed before any locale file has loaded
         this.translations = {
             en: {
                 'nav.research': 'Research',
@@ -648,6 +1982,7 @@ class LanguageSupport {
                 'form.email.invalid': 'Please enter a valid email address',
                 'notification.success': 'Success!',
                 'notification.error': 'Error occurred',
+                'notification.dismiss': 'Dismiss',
                 'loading': 'Loading...'
             },
             ko: {
@@ -667,8 +2002,17 @@ class LanguageSupport {
                 'footer.copyright': '© 2025 Nein to Sick 팀. 한동대학교. 모든 권리 보유.',
                 'form.required': '필수 입력 항목입니다',
                 'form.email.invalid': '올바른 이메일 주소를 입력해주세요',
+                'form.phone.invalid': '올바른 전화번호를 입력해주세요 (예: 010-1234-5678)',
+                'form.minlength': '최소 {min}자 이상 입력해주세요',
+                'form.maxlength': '최대 {max}자까지 입력할 수 있습니다',
+                'form.pattern': '요청한 형식에 맞게 입력해주세요',
+                'form.match': '{field} 항목과 일치해야 합니다',
+                'form.group.required': '하나 이상 선택해주세요',
+                'form.async.invalid': '사용할 수 없는 값입니다',
+                'form.checking': '확인 중...',
                 'notification.success': '성공!',
                 'notification.error': '오류가 발생했습니다',
+                'notification.dismiss': '닫기',
                 'loading': '로딩 중...'
             }
         };
@@ -680,8 +2024,9 @@ class LanguageSupport {
         toggle.innerHTML = this.currentLanguage === 'en' ? '한국어' : 'English';
         toggle.style.cssText = `
             background: none;
-            border: 1px solid #e5e7eb;
+            border: 1px solid var(--color-border);
             border-radius: 20px;
+            color: var(--color-text-secondary);
             padding: 0.5rem 1rem;
             font-size: 0.8rem;
             cursor: pointer;
@@ -697,97 +2042,625 @@ class LanguageSupport {
         if (nav) {
             nav.appendChild(toggle);
         }
+        this.toggle = toggle;
     }
 
-    toggleLanguage() {
-        this.currentLanguage = this.currentLanguage === 'en' ? 'ko' : 'en';
-        this.updatePageLanguage();
-        this.updateLanguageToggle();
-        
-        // Store preference
-        localStorage.setItem('preferred-language', this.currentLanguage);
-    }
-
-    updatePageLanguage() {
-        const elements = document.querySelectorAll('[data-translate]');
-        elements.forEach(element => {
-            const key = element.getAttribute('data-translate');
-            const translation = this.getTranslation(key);
-            if (translation) {
-                element.textContent = translation;
-            }
+    // One alternate per language plus x-default (the URL without ?lang=) for search engines
+    createAlternateLinks() {
+        const hreflangs = [...CONFIG.languages, 'x-default'];
+
+        hreflangs.forEach(hreflang => {
+            const link = document.createElement('link');
+            link.rel = 'alternate';
+            link.hreflang = hreflang;
+            link.href = this.getPageUrl(hreflang === 'x-default' ? null : hreflang);
+            document.head.appendChild(link);
+            this.alternateLinks.push(link);
         });
-
-        // Update document language
-        document.documentElement.lang = this.currentLanguage;
     }
 
-    updateLanguageToggle() {
-        const toggle = document.querySelector('.language-toggle');
-        if (toggle) {
-            toggle.innerHTML = this.currentLanguage === 'en' ? '한국어' : 'English';
+    getPageUrl(language) {
+        const url = new URL(window.location.href);
+        url.hash = '';
+        if (language) {
+            url.searchParams.set(LanguageSupport.QUERY_PARAM, language);
+        } else {
+            url.searchParams.delete(LanguageSupport.QUERY_PARAM);
         }
+        return url.href;
     }
 
-    getTranslation(key) {
-        return this.translations[this.currentLanguage]?.[key] || key;
-    }
+    // Relative links to our own pages; external, mailto: and in-page links are left alone
+    isPageLink(link) {
+        const href = link.getAttribute('href');
+        if (!href || href.startsWith('#') || /^[a-z][a-z\d+.-]*:/i.test(href) || link.hasAttribute('download')) {
+            return false;
+        }
 
-    translate(key) {
-        return this.getTranslation(key);
+        const path = href.split(/[?#]/)[0];
+        return path === '' || path.endsWith('/') || path.endsWith('.html');
     }
-}
 
-// Performance Monitor Class
-class PerformanceMonitor {
-    constructor() {
-        this.metrics = {};
-        this.init();
-    }
+    // Rewrites the query in place so links stay relative and can be rewritten again
+    localizeHref(href, language) {
+        const [beforeHash, hash] = href.split('#');
+        const [path, query = ''] = beforeHash.split('?');
+        const params = new URLSearchParams(query);
+        params.set(LanguageSupport.QUERY_PARAM, language);
 
-    init() {
-        this.measurePageLoad();
-        this.monitorUserInteractions();
+        return `${path}?${params}${hash !== undefined ? `#${hash}` : ''}`;
     }
 
-    measurePageLoad() {
-        window.addEventListener('load', () => {
-            const perfData = performance.getEntriesByType('navigation')[0];
-            this.metrics.loadTime = perfData.loadEventEnd - perfData.loadEventStart;
-            this.metrics.domContentLoaded = perfData.domContentLoadedEventEnd - perfData.domContentLoadedEventStart;
-            this.metrics.totalLoadTime = perfData.loadEventEnd - perfData.fetchStart;
-            
-            console.log('Performance Metrics:', this.metrics);
+    localizeLinks(root) {
+        root.querySelectorAll('a[href]').forEach(link => {
+            if (this.isPageLink(link)) {
+                link.setAttribute('href', this.localizeHref(link.getAttribute('href'), this.currentLanguage));
+            }
         });
     }
 
-    monitorUserInteractions() {
-        // Track first input delay
-        new PerformanceObserver((entryList) => {
-            const entries = entryList.getEntries();
-            entries.forEach(entry => {
-                if (entry.entryType === 'first-input') {
-                    this.metrics.firstInputDelay = entry.processingStart - entry.startTime;
-                }
-            });
-        }).observe({ entryTypes: ['first-input'] });
+    isSupported(language) {
+        return CONFIG.languages.includes(language);
+    }
 
-        // Track largest contentful paint
-        new PerformanceObserver((entryList) => {
-            const entries = entryList.getEntries();
-            const lastEntry = entries[entries.length - 1];
-            this.metrics.largestContentfulPaint = lastEntry.startTime;
-        }).observe({ entryTypes: ['largest-contentful-paint'] });
+    getStoredLanguage() {
+        const language = Utils.storage.get('preferred-language');
+        return this.isSupported(language) ? language : null;
     }
 
-    getMetrics() {
-        return this.metrics;
+    storeLanguage(language) {
+        Utils.storage.set('preferred-language', language);
+    }
+
+    loadLocale(language) {
+        if (!this.localeRequests[language]) {
+            const namespaces = ['common', Utils.getCurrentPage()];
+
+            this.localeRequests[language] = Promise.all(namespaces.map(namespace =>
+                fetch(`${CONFIG.localesPath}/${language}/${namespace}.json`).then(response => {
+                    // Pages without copy of their own have no locale file
+                    if (response.status === 404) return {};
+                    if (!response.ok) throw new Error(`HTTP ${response.status} for ${namespace}.json`);
+                    return response.json();
+                })
+            )).then(bundles => {
+                this.translations[language] = Object.assign({}, this.translations[language], ...bundles);
+            }).catch(error => {
+                // Allow a retry on the next attempt
+                delete this.localeRequests[language];
+                throw error;
+            });
+        }
+        return this.localeRequests[language];
+    }
+
+    async setLanguage(language, { persist = true } = {}) {
+        if (!this.isSupported(language)) {
+            console.warn(`Unsupported language "${language}"`);
+            return false;
+        }
+
+        this.toggle.setAttribute('aria-busy', 'true');
+        try {
+            await this.loadLocale(language);
+        } catch (error) {
+            console.warn(`Could not load "${language}" translations:`, error);
+            return false;
+        } finally {
+            this.toggle.removeAttribute('aria-busy');
+        }
+
+        this.currentLanguage = language;
+        this.updatePageLanguage();
+        this.updateLanguageToggle();
+        if (persist) {
+            this.storeLanguage(language);
+            // Keep the address bar shareable in the chosen language
+            history.replaceState(history.state, '', this.localizeHref(window.location.href, language));
+        }
+
+        document.dispatchEvent(new CustomEvent('languagechange', { detail: { language } }));
+        return true;
+    }
+
+    toggleLanguage() {
+        return this.setLanguage(this.currentLanguage === 'en' ? 'ko' : 'en');
+    }
+
+    updatePageLanguage() {
+        this.applyTranslations(document);
+
+        // Update document language
+        document.documentElement.lang = this.currentLanguage;
+    }
+
+    // Translates root and every marked element inside it; also used for content
+    // rendered later
+    applyTranslations(root) {
+        const translateAll = (keyAttribute, apply) => {
+            const elements = [...root.querySelectorAll(`[${keyAttribute}]`)];
+            if (root.hasAttribute && root.hasAttribute(keyAttribute)) elements.unshift(root);
+            elements.forEach(element => {
+                const key = element.getAttribute(keyAttribute);
+                if (this.hasTranslation(key)) {
+                    apply(element, this.getTranslation(key, this.getElementParams(element)));
+                }
+            });
+        };
+
+        translateAll('data-translate', (element, text) => { element.textContent = text; });
+        translateAll('data-translate-html', (element, html) => { element.innerHTML = html; });
+
+        LanguageSupport.ATTRIBUTES.forEach(attribute => {
+            translateAll(`data-translate-${attribute}`, (element, text) => {
+                element.setAttribute(attribute, text);
+            });
+        });
+
+        this.localizeLinks(root);
+    }
+
+    getElementParams(element) {
+        if (!element.dataset.translateParams) return {};
+
+        try {
+            return JSON.parse(element.dataset.translateParams);
+        } catch (error) {
+            console.warn('Invalid data-translate-params:', element.dataset.translateParams);
+            return {};
+        }
+    }
+
+    updateLanguageToggle() {
+        const toggle = document.querySelector('.language-toggle');
+        if (toggle) {
+            toggle.innerHTML = this.currentLanguage === 'en' ? '한국어' : 'English';
+        }
+    }
+
+    lookup(key) {
+        return this.translations[this.currentLanguage]?.[key] ?? this.translations[this.defaultLanguage]?.[key];
+    }
+
+    hasTranslation(key) {
+        return this.lookup(key) !== undefined;
+    }
+
+    getTranslation(key, params = {}) {
+        const entry = this.lookup(key);
+        if (entry === undefined) return key;
+
+        return this.interpolate(this.selectPluralForm(entry, params.count), params);
+    }
+
+    // Plural entries are objects keyed by an exact count ("0") or an
+    // Intl.PluralRules category ("one", "other", ...)
+    selectPluralForm(entry, count) {
+        if (typeof entry === 'string') return entry;
+        if (typeof count !== 'number') return entry.other ?? '';
+
+        const category = new Intl.PluralRules(this.currentLanguage).select(count);
+        return entry[String(count)] ?? entry[category] ?? entry.other ?? '';
+    }
+
+    interpolate(text, params) {
+        return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    }
+
+    translate(key, params) {
+        return this.getTranslation(key, params);
+    }
+
+    // Intl.NumberFormat in the current language, e.g. 1234.5 -> "1,234.5"
+    formatNumber(value, options) {
+        return new Intl.NumberFormat(this.currentLanguage, options).format(value);
+    }
+
+    destroy() {
+        this.toggle.remove();
+        this.alternateLinks.forEach(link => link.remove());
+    }
+}
+
+LanguageSupport.ATTRIBUTES = ['alt', 'aria-label', 'title', 'placeholder'];
+LanguageSupport.QUERY_PARAM = 'lang';
+
+// Theme Manager Class
+// Light, dark and high-contrast themes are sets of CSS custom properties in
+// css/theme.css, picked by html[data-theme]. The choice from the nav select is kept
+// in localStorage; "system" follows prefers-contrast and prefers-color-scheme. The
+// inline script in each page's <head> applies the same choice before first paint.
+class ThemeManager {
+    constructor(app) {
+        this.languageSupport = app.components.languageSupport;
+        this.queries = [
+            window.matchMedia('(prefers-contrast: more)'),
+            window.matchMedia('(prefers-color-scheme: dark)')
+        ];
+        this.listeners = new AbortController();
+        this.init();
+    }
+
+    init() {
+        const { signal } = this.listeners;
+
+        this.createSwitcher();
+        this.apply();
+
+        this.queries.forEach(query => query.addEventListener('change', () => this.apply(), { signal }));
+
+        // Another tab changed the theme
+        window.addEventListener('storage', (e) => {
+            if (e.key !== ThemeManager.STORAGE_KEY) return;
+            this.select.value = this.getPreference();
+            this.apply();
+        }, { signal });
+    }
+
+    createSwitcher() {
+        const select = document.createElement('select');
+        select.className = 'theme-select';
+        select.setAttribute('aria-label', 'Theme');
+        select.setAttribute('data-translate-aria-label', 'theme.label');
+        select.innerHTML = ['system', ...ThemeManager.THEMES].map(theme =>
+            `<option value="${theme}" data-translate="theme.${theme}">${ThemeManager.LABELS[theme]}</option>`).join('');
+        select.value = this.getPreference();
+        select.style.cssText = `
+            background: none;
+            border: 1px solid var(--color-border);
+            border-radius: 20px;
+            color: var(--color-text-secondary);
+            padding: 0.5rem 0.75rem;
+            font: inherit;
+            font-size: 0.8rem;
+            cursor: pointer;
+            margin-left: 0.5rem;
+        `;
+
+        select.addEventListener('change', () => this.setPreference(select.value), { signal: this.listeners.signal });
+
+        // Beside the language toggle
+        const languageToggle = this.languageSupport && this.languageSupport.toggle;
+        const nav = document.querySelector('nav');
+        if (languageToggle && languageToggle.parentNode) {
+            languageToggle.after(select);
+        } else if (nav) {
+            nav.appendChild(select);
+        }
+
+        if (this.languageSupport) this.languageSupport.applyTranslations(select);
+        this.select = select;
+    }
+
+    // One of ThemeManager.THEMES, or 'system'
+    getPreference() {
+        const theme = Utils.storage.get(ThemeManager.STORAGE_KEY);
+        return ThemeManager.THEMES.includes(theme) ? theme : 'system';
+    }
+
+    setPreference(preference) {
+        if (ThemeManager.THEMES.includes(preference)) {
+            Utils.storage.set(ThemeManager.STORAGE_KEY, preference);
+        } else {
+            Utils.storage.remove(ThemeManager.STORAGE_KEY);
+        }
+        this.apply(preference);
+    }
+
+    // Must match the inline script in each page's <head>
+    resolve(preference) {
+        if (preference !== 'system') return preference;
+        if (this.queries[0].matches) return 'high-contrast';
+        return this.queries[1].matches ? 'dark' : 'light';
+    }
+
+    apply(preference = this.getPreference()) {
+        const theme = this.resolve(preference);
+        if (document.documentElement.dataset.theme === theme) return;
+
+        document.documentElement.dataset.theme = theme;
+        document.dispatchEvent(new CustomEvent('themechange', { detail: { theme } }));
+    }
+
+    destroy() {
+        this.listeners.abort();
+        this.select.remove();
+    }
+}
+
+ThemeManager.THEMES = ['light', 'dark', 'high-contrast'];
+ThemeManager.STORAGE_KEY = 'preferred-theme';
+// Option labels until the locale file has loaded
+ThemeManager.LABELS = {
+    system: 'System theme',
+    light: 'Light',
+    dark: 'Dark',
+    'high-contrast': 'High contrast'
+};
+
+// Web Vitals Sink Registry
+// A sink receives the finished metrics: send(metrics, context), where each metric is
+// { name, value, rating, attribution } and context says which page and device they
+// came from (Utils.getPageContext). CONFIG.performance.sink picks one by name:
+// 'none', 'console' or 'beacon'.
+const VitalsSinks = {
+    sinks: {},
+
+    register(name, sink) {
+        this.sinks[name] = sink;
+    },
+
+    get(name) {
+        const sink = this.sinks[name];
+        if (!sink) {
+            throw new Error(`Unknown vitals sink "${name}"`);
+        }
+        return sink;
+    }
+};
+
+VitalsSinks.register('none', {
+    send() {}
+});
+
+VitalsSinks.register('console', {
+    send(metrics, context) {
+        metrics.forEach(metric => {
+            console.log(`[Web Vitals] ${context.page} ${metric.name}: ${metric.value} (${metric.rating})`, metric.attribution);
+        });
+    }
+});
+
+VitalsSinks.register('beacon', {
+    send(metrics, context) {
+        if (!CONFIG.performance.endpoint) return;
+        Utils.sendBeacon(CONFIG.performance.endpoint, { context, metrics });
+    }
+});
+
+// Performance Monitor Class
+// Measures the Web Vitals the browser supports - LCP, CLS and INP plus FCP and TTFB -
+// rates them against PerformanceMonitor.THRESHOLDS and names the element or
+// interaction behind each value. TTFB and FCP are sent as soon as they are known;
+// LCP, CLS and INP keep changing, so they are sent whenever the page is hidden.
+class PerformanceMonitor {
+    constructor(options = CONFIG.performance) {
+        this.options = options;
+        this.metrics = {};
+        this.vitals = {};
+        this.lastReported = {};
+        this.observers = [];
+        this.listeners = new AbortController();
+        this.init();
+    }
+
+    init() {
+        this.sinkName = this.options.sink || (this.options.endpoint ? 'beacon' : 'none');
+        this.sink = VitalsSinks.get(this.sinkName);
+        this.sampled = Math.random() < this.options.sampleRate;
+
+        const [navigation] = this.getNavigationEntries();
+        this.navigation = navigation;
+        // Prerendered pages count from the moment they are shown, not loaded
+        this.activationStart = (navigation && navigation.activationStart) || 0;
+
+        this.measurePageLoad();
+        this.measureTTFB();
+        this.observeFCP();
+        this.observeLCP();
+        this.observeCLS();
+        this.observeINP();
+
+        const { signal } = this.listeners;
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.report(['LCP', 'CLS', 'INP']);
+        }, { signal });
+        window.addEventListener('pagehide', () => this.report(['LCP', 'CLS', 'INP']), { signal });
+    }
+
+    getNavigationEntries() {
+        if (typeof performance === 'undefined' || !performance.getEntriesByType) return [];
+        return performance.getEntriesByType('navigation');
+    }
+
+    // Whether this browser can observe the given entry type
+    supports(type) {
+        return typeof PerformanceObserver !== 'undefined' &&
+            Array.isArray(PerformanceObserver.supportedEntryTypes) &&
+            PerformanceObserver.supportedEntryTypes.includes(type);
+    }
+
+    observe(type, callback, options = {}) {
+        if (!this.supports(type)) return false;
+
+        try {
+            const observer = new PerformanceObserver(list => callback(list.getEntries()));
+            observer.observe({ type, buffered: true, ...options });
+            this.observers.push(observer);
+            return true;
+        } catch (error) {
+            console.warn(`Cannot observe ${type} entries:`, error);
+            return false;
+        }
+    }
+
+    measurePageLoad() {
+        window.addEventListener('load', () => {
+            // loadEventEnd is only filled in once the load handlers have finished
+            setTimeout(() => {
+                const perfData = this.navigation;
+                if (!perfData) return;
+
+                this.metrics.loadTime = perfData.loadEventEnd - perfData.loadEventStart;
+                this.metrics.domContentLoaded = perfData.domContentLoadedEventEnd - perfData.domContentLoadedEventStart;
+                this.metrics.totalLoadTime = perfData.loadEventEnd - perfData.fetchStart;
+
+                if (this.sinkName === 'console') console.log('Performance Metrics:', this.metrics);
+            }, 0);
+        }, { signal: this.listeners.signal });
+    }
+
+    measureTTFB() {
+        const navigation = this.navigation;
+        if (!navigation || !navigation.responseStart) return;
+
+        this.setVital('TTFB', Math.max(navigation.responseStart - this.activationStart, 0), {
+            dnsTime: navigation.domainLookupEnd - navigation.domainLookupStart,
+            connectionTime: navigation.connectEnd - navigation.connectStart,
+            requestTime: navigation.responseStart - navigation.requestStart
+        });
+        this.report(['TTFB']);
+    }
+
+    observeFCP() {
+        this.observe('paint', entries => {
+            const entry = entries.find(paint => paint.name === 'first-contentful-paint');
+            if (!entry || this.vitals.FCP) return;
+
+            const value = Math.max(entry.startTime - this.activationStart, 0);
+            const ttfb = this.vitals.TTFB ? this.vitals.TTFB.value : null;
+            this.setVital('FCP', value, {
+                timeToFirstByte: ttfb,
+                firstByteToFCP: ttfb === null ? null : value - ttfb
+            });
+            this.report(['FCP']);
+        });
+    }
+
+    observeLCP() {
+        // The browser stops emitting candidates after the first click or key press
+        this.observe('largest-contentful-paint', entries => {
+            const entry = entries[entries.length - 1];
+            this.setVital('LCP', Math.max(entry.startTime - this.activationStart, 0), {
+                element: Utils.describeElement(entry.element),
+                url: entry.url || null,
+                size: entry.size
+            });
+        });
+    }
+
+    observeCLS() {
+        // CLS is the worst session window: shifts less than 1s apart, at most 5s long
+        if (!this.supports('layout-shift')) return;
+
+        let session = { value: 0, entries: [] };
+        this.setVital('CLS', 0, { element: null });
+
+        this.observe('layout-shift', entries => {
+            entries.forEach(entry => {
+                if (entry.hadRecentInput) return;
+
+                const first = session.entries[0];
+                const last = session.entries[session.entries.length - 1];
+                if (last && (entry.startTime - last.startTime >= 1000 || entry.startTime - first.startTime >= 5000)) {
+                    session = { value: 0, entries: [] };
+                }
+                session.value += entry.value;
+                session.entries.push(entry);
+
+                if (session.value <= this.vitals.CLS.value) return;
+
+                const largest = session.entries.reduce((a, b) => (b.value > a.value ? b : a));
+                const source = (largest.sources || []).find(item => item.node);
+                this.setVital('CLS', session.value, {
+                    element: source ? Utils.describeElement(source.node) : null,
+                    shiftTime: largest.startTime,
+                    shiftValue: largest.value
+                });
+            });
+        });
+    }
+
+    observeINP() {
+        // Slowest event of each interaction (a click is pointerdown + pointerup + click)
+        const interactions = new Map();
+
+        const handleEntries = entries => {
+            entries.forEach(entry => {
+                if (!entry.interactionId) return;
+
+                const known = interactions.get(entry.interactionId);
+                if (!known || entry.duration > known.duration) {
+                    interactions.set(entry.interactionId, entry);
+                }
+            });
+            if (interactions.size > 0) this.updateINP(interactions);
+        };
+
+        if (this.observe('event', handleEntries, { durationThreshold: 40 })) {
+            // Fast interactions stay under the threshold; the first one still counts
+            this.observe('first-input', handleEntries);
+        }
+    }
+
+    updateINP(interactions) {
+        // Ignore one outlier per 50 interactions, approximating the 98th percentile
+        const slowest = Array.from(interactions.values()).sort((a, b) => b.duration - a.duration);
+        const entry = slowest[Math.min(slowest.length - 1, Math.floor(interactions.size / 50))];
+
+        this.setVital('INP', entry.duration, {
+            element: Utils.describeElement(entry.target),
+            eventType: entry.name,
+            inputDelay: entry.processingStart - entry.startTime,
+            processingTime: entry.processingEnd - entry.processingStart,
+            presentationDelay: Math.max(entry.startTime + entry.duration - entry.processingEnd, 0)
+        });
+    }
+
+    setVital(name, value, attribution) {
+        const rounded = name === 'CLS' ? Math.round(value * 10000) / 10000 : Math.round(value);
+        this.vitals[name] = { name, value: rounded, rating: this.rate(name, rounded), attribution };
+    }
+
+    rate(name, value) {
+        const [good, poor] = PerformanceMonitor.THRESHOLDS[name];
+        if (value <= good) return 'good';
+        return value <= poor ? 'needs-improvement' : 'poor';
+    }
+
+    // Hand the named vitals that changed since they were last sent to the sink
+    report(names) {
+        const metrics = names
+            .map(name => this.vitals[name])
+            .filter(metric => metric && this.lastReported[metric.name] !== metric.value);
+        if (metrics.length === 0) return;
+
+        metrics.forEach(metric => {
+            this.lastReported[metric.name] = metric.value;
+        });
+        if (!this.sampled) return;
+
+        try {
+            this.sink.send(metrics, Utils.getPageContext());
+        } catch (error) {
+            console.warn('Web Vitals sink failed:', error);
+        }
+    }
+
+    getMetrics() {
+        return { ...this.metrics, vitals: this.vitals };
+    }
+
+    destroy() {
+        this.listeners.abort();
+        this.observers.forEach(observer => observer.disconnect());
     }
 }
 
+// [good, poor] boundaries: up to `good` is good, above `poor` is poor
+PerformanceMonitor.THRESHOLDS = {
+    LCP: [2500, 4000],
+    FCP: [1800, 3000],
+    TTFB: [800, 1800],
+    CLS: [0.1, 0.25],
+    INP: [200, 500]
+};
+
 // Accessibility Helper Class
 class AccessibilityHelper {
     constructor() {
+        this.createdElements = [];
+        this.listeners = new AbortController();
         this.init();
     }
 
@@ -803,13 +2676,14 @@ class AccessibilityHelper {
         const skipLink = document.createElement('a');
         skipLink.href = '#main';
         skipLink.textContent = 'Skip to main content';
+        skipLink.setAttribute('data-translate', 'a11y.skipToContent');
         skipLink.className = 'skip-link';
         skipLink.style.cssText = `
             position: absolute;
             top: -40px;
             left: 6px;
-            background: #7c3aed;
-            color: white;
+            background: var(--color-primary);
+            color: var(--color-on-primary);
             padding: 8px;
             border-radius: 4px;
             text-decoration: none;
@@ -826,6 +2700,7 @@ class AccessibilityHelper {
         });
 
         document.body.insertBefore(skipLink, document.body.firstChild);
+        this.createdElements.push(skipLink);
 
         // Ensure main content has ID
         const main = document.querySelector('main');
@@ -839,23 +2714,24 @@ class AccessibilityHelper {
         const style = document.createElement('style');
         style.textContent = `
             *:focus {
-                outline: 2px solid #7c3aed;
+                outline: 2px solid var(--color-focus);
                 outline-offset: 2px;
             }
             
             .focus-visible {
-                outline: 2px solid #7c3aed;
+                outline: 2px solid var(--color-focus);
                 outline-offset: 2px;
             }
         `;
         document.head.appendChild(style);
+        this.createdElements.push(style);
 
         // Focus trap for modals
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Tab') {
                 this.handleTabNavigation(e);
             }
-        });
+        }, { signal: this.listeners.signal });
     }
 
     setupAriaLabels() {
@@ -886,21 +2762,29 @@ class AccessibilityHelper {
         });
     }
 
+    // window.announce(message, politeness): 'assertive' interrupts the screen reader,
+    // 'polite' waits until it is idle
     createAnnouncementRegion() {
-        const announcer = document.createElement('div');
-        announcer.id = 'announcements';
-        announcer.setAttribute('aria-live', 'assertive');
-        announcer.setAttribute('aria-atomic', 'true');
-        announcer.style.cssText = `
-            position: absolute;
-            left: -10000px;
-            width: 1px;
-            height: 1px;
-            overflow: hidden;
-        `;
-        document.body.appendChild(announcer);
+        const announcers = {};
+        ['assertive', 'polite'].forEach(politeness => {
+            const announcer = document.createElement('div');
+            announcer.id = politeness === 'assertive' ? 'announcements' : 'announcements-polite';
+            announcer.setAttribute('aria-live', politeness);
+            announcer.setAttribute('aria-atomic', 'true');
+            announcer.style.cssText = `
+                position: absolute;
+                left: -10000px;
+                width: 1px;
+                height: 1px;
+                overflow: hidden;
+            `;
+            document.body.appendChild(announcer);
+            this.createdElements.push(announcer);
+            announcers[politeness] = announcer;
+        });
 
-        window.announce = (message) => {
+        window.announce = (message, politeness = 'assertive') => {
+            const announcer = announcers[politeness] || announcers.assertive;
             announcer.textContent = message;
             setTimeout(() => {
                 announcer.textContent = '';
@@ -912,13 +2796,27 @@ class AccessibilityHelper {
         const modal = document.querySelector('.modal.active');
         if (!modal) return;
 
-        const focusableElements = modal.querySelectorAll(
+        // Only what Tab can actually reach: hidden or undisplayed controls (a lightbox's
+        // arrows for a single photo or on small screens) would never match below
+        const focusableElements = Array.from(modal.querySelectorAll(
             'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-        );
+        )).filter(element => !element.disabled && !element.closest('[hidden]') && element.getClientRects().length > 0);
+
+        if (focusableElements.length === 0) {
+            e.preventDefault();
+            return;
+        }
 
         const firstElement = focusableElements[0];
         const lastElement = focusableElements[focusableElements.length - 1];
 
+        // Focus that has slipped out of the dialog goes back in
+        if (!modal.contains(document.activeElement)) {
+            (e.shiftKey ? lastElement : firstElement).focus();
+            e.preventDefault();
+            return;
+        }
+
         if (e.shiftKey) {
             if (document.activeElement === firstElement) {
                 lastElement.focus();
@@ -931,61 +2829,4478 @@ class AccessibilityHelper {
             }
         }
     }
+
+    destroy() {
+        this.listeners.abort();
+        this.createdElements.forEach(element => element.remove());
+        delete window.announce;
+    }
 }
 
-// Error Handler Class
-class ErrorHandler {
-    constructor() {
+// Lightbox Class
+// Enlarges the images inside any [data-gallery] container in an accessible dialog:
+// arrow keys and swipes move through the gallery, Escape closes, focus is trapped
+// (through AccessibilityHelper's `.modal.active` handling) and restored afterwards.
+// Captions come from the image's card (Lightbox.CAPTION_SELECTORS) and the open
+// photo is kept in the URL as #photo=<image file name> so it can be linked to.
+class Lightbox {
+    constructor(app) {
+        this.languageSupport = app.components.languageSupport;
+        this.items = [];
+        this.index = -1;
+        this.returnFocus = null;
+        this.listeners = new AbortController();
         this.init();
     }
 
     init() {
-        this.setupGlobalErrorHandling();
-        this.setupUnhandledRejectionHandling();
+        if (!document.querySelector('[data-gallery]')) return;
+
+        this.createDialog();
+        this.prepareImages();
+        this.bindEvents();
+        this.openFromHash();
     }
 
-    setupGlobalErrorHandling() {
-        window.addEventListener('error', (event) => {
-            this.logError('JavaScript Error', {
-                message: event.message,
-                filename: event.filename,
-                lineno: event.lineno,
-                colno: event.colno,
-                stack: event.error?.stack
-            });
-        });
+    createDialog() {
+        const dialog = document.createElement('div');
+        dialog.className = 'modal lightbox';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-label', 'Photo viewer');
+        dialog.setAttribute('data-translate-aria-label', 'lightbox.label');
+        dialog.hidden = true;
+        dialog.innerHTML = `
+            <button type="button" class="lightbox-close" aria-label="Close" data-translate-aria-label="lightbox.close">×</button>
+            <button type="button" class="lightbox-nav lightbox-prev" aria-label="Previous photo" data-translate-aria-label="lightbox.previous">‹</button>
+            <figure class="lightbox-figure">
+                <img class="lightbox-image" alt="">
+                <figcaption class="lightbox-caption">
+                    <strong class="lightbox-title"></strong>
+                    <span class="lightbox-text"></span>
+                    <span class="lightbox-counter" aria-live="polite" data-translate="lightbox.counter"></span>
+                </figcaption>
+            </figure>
+            <button type="button" class="lightbox-nav lightbox-next" aria-label="Next photo" data-translate-aria-label="lightbox.next">›</button>
+        `;
+
+        const style = document.createElement('style');
+        style.textContent = `
+            .lightbox {
+                position: fixed;
+                inset: 0;
+                z-index: 10001;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                gap: 1rem;
+                padding: 2rem 1rem;
+                background: var(--color-overlay);
+                touch-action: pan-y;
+            }
+            .lightbox[hidden] {
+                display: none;
+            }
+            .lightbox-figure {
+                display: flex;
+                flex-direction: column;
+                align-items: center;
+                max-width: min(90vw, 1000px);
+                margin: 0;
+            }
+            .lightbox-image {
+                max-width: 100%;
+                max-height: 75vh;
+                object-fit: contain;
+                border-radius: 12px;
+                box-shadow: 0 20px 50px rgba(0, 0, 0, 0.4);
+            }
+            .lightbox-caption {
+                display: flex;
+                flex-direction: column;
+                gap: 0.25rem;
+                margin-top: 1rem;
+                text-align: center;
+                color: var(--color-on-overlay);
+            }
+            .lightbox-text {
+                color: var(--color-on-overlay-secondary);
+                font-size: 0.9rem;
+            }
+            .lightbox-counter {
+                color: var(--color-on-overlay-muted);
+                font-size: 0.8rem;
+            }
+            .lightbox-close,
+            .lightbox-nav {
+                border: none;
+                border-radius: 50%;
+                background: var(--color-overlay-control);
+                color: var(--color-on-overlay);
+                font-size: 2rem;
+                line-height: 1;
+                width: 48px;
+                height: 48px;
+                flex-shrink: 0;
+                cursor: pointer;
+                transition: background 0.2s ease;
+            }
+            .lightbox-close:hover,
+            .lightbox-nav:hover {
+                background: var(--color-overlay-control-hover);
+            }
+            .lightbox-close {
+                position: absolute;
+                top: 1rem;
+                right: 1rem;
+            }
+            .lightbox-close:focus-visible,
+            .lightbox-nav:focus-visible {
+                outline: 2px solid var(--color-overlay-focus);
+                outline-offset: 2px;
+            }
+            [data-gallery] img[role="button"] {
+                cursor: zoom-in;
+            }
+            @media (max-width: 768px) {
+                .lightbox-nav {
+                    display: none;
+                }
+            }
+        `;
+
+        document.head.appendChild(style);
+        document.body.appendChild(dialog);
+        this.style = style;
+        this.dialog = dialog;
+        this.image = dialog.querySelector('.lightbox-image');
+        this.applyTranslations();
     }
 
-    setupUnhandledRejectionHandling() {
-        window.addEventListener('unhandledrejection', (event) => {
-            this.logError('Unhandled Promise Rejection', {
-                reason: event.reason,
-                promise: event.promise
-            });
+    // Make gallery images reachable and operable from the keyboard
+    prepareImages() {
+        document.querySelectorAll(Lightbox.IMAGE_SELECTOR).forEach(img => {
+            img.setAttribute('role', 'button');
+            img.setAttribute('tabindex', '0');
+            img.setAttribute('aria-haspopup', 'dialog');
         });
     }
 
+    bindEvents() {
+        const { signal } = this.listeners;
+
+        document.addEventListener('click', (e) => {
+            const img = e.target.closest(Lightbox.IMAGE_SELECTOR);
+            if (img) this.open(img);
+        }, { signal });
+
+        document.addEventListener('keydown', (e) => {
+            if (this.isOpen()) {
+                this.handleKeydown(e);
+                return;
+            }
+
+            const img = e.target.closest && e.target.closest(Lightbox.IMAGE_SELECTOR);
+            if (img && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                this.open(img);
+            }
+        }, { signal });
+
+        this.dialog.querySelector('.lightbox-close').addEventListener('click', () => this.close(), { signal });
+        this.dialog.querySelector('.lightbox-prev').addEventListener('click', () => this.show(this.index - 1), { signal });
+        this.dialog.querySelector('.lightbox-next').addEventListener('click', () => this.show(this.index + 1), { signal });
+
+        // Clicking the backdrop closes
+        this.dialog.addEventListener('click', (e) => {
+            if (e.target === this.dialog) this.close();
+        }, { signal });
+
+        this.dialog.addEventListener('touchstart', (e) => {
+            this.touchStart = e.changedTouches[0];
+        }, { passive: true, signal });
+
+        this.dialog.addEventListener('touchend', (e) => {
+            if (!this.touchStart) return;
+
+            const dx = e.changedTouches[0].clientX - this.touchStart.clientX;
+            const dy = e.changedTouches[0].clientY - this.touchStart.clientY;
+            this.touchStart = null;
+            if (Math.abs(dx) > Lightbox.SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy)) {
+                this.show(this.index + (dx < 0 ? 1 : -1));
+            }
+        }, { signal });
+
+        window.addEventListener('hashchange', () => {
+            if (this.getHashPhoto()) {
+                this.openFromHash();
+            } else if (this.isOpen()) {
+                this.close();
+            }
+        }, { signal });
+
+        // Galleries rendered from data (the journey timeline) arrive later
+        document.addEventListener('timelinerender', () => {
+            this.prepareImages();
+            if (!this.isOpen()) this.openFromHash();
+        }, { signal });
+
+        document.addEventListener('languagechange', () => {
+            if (this.isOpen()) this.render();
+        }, { signal });
+    }
+
+    handleKeydown(e) {
+        const moves = { ArrowLeft: this.index - 1, ArrowRight: this.index + 1, Home: 0, End: this.items.length - 1 };
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        } else if (e.key in moves) {
+            e.preventDefault();
+            this.show(moves[e.key]);
+        }
+    }
+
+    isOpen() {
+        return Boolean(this.dialog) && this.dialog.classList.contains('active');
+    }
+
+    // Gallery images that are currently shown: failed images hide themselves and
+    // filtered timeline cards are [hidden]
+    getGalleryItems(gallery) {
+        return Array.from(gallery.querySelectorAll('img')).filter(img =>
+            img.style.display !== 'none' && !img.closest('[hidden]'));
+    }
+
+    // Photo id for the URL: the image file name without its extension
+    getPhotoId(img) {
+        const file = (img.dataset.src || img.getAttribute('src') || '').split(/[?#]/)[0].split('/').pop();
+        return file.replace(/\.[^.]+$/, '');
+    }
+
+    getHashPhoto() {
+        const match = window.location.hash.match(/^#photo=(.+)$/);
+        return match ? decodeURIComponent(match[1]) : null;
+    }
+
+    openFromHash() {
+        const id = this.getHashPhoto();
+        if (!id) return;
+
+        const img = Array.from(document.querySelectorAll(Lightbox.IMAGE_SELECTOR)).find(image => this.getPhotoId(image) === id);
+        if (img) this.open(img);
+    }
+
+    open(img) {
+        const gallery = img.closest('[data-gallery]');
+        this.items = this.getGalleryItems(gallery);
+        if (!this.items.includes(img)) return;
+
+        if (!this.isOpen()) {
+            this.returnFocus = document.activeElement;
+            this.dialog.hidden = false;
+            this.dialog.classList.add('active');
+            document.body.style.overflow = 'hidden';
+        }
+
+        this.show(this.items.indexOf(img));
+        this.dialog.querySelector('.lightbox-close').focus();
+    }
+
+    show(index) {
+        if (this.items.length === 0) return;
+
+        // Wrap around at either end
+        this.index = (index + this.items.length) % this.items.length;
+        this.render();
+
+        const id = this.getPhotoId(this.items[this.index]);
+        history.replaceState(history.state, '', `#photo=${encodeURIComponent(id)}`);
+    }
+
+    render() {
+        const img = this.items[this.index];
+        const caption = this.getCaption(img);
+
+        // Lazy images that have not loaded yet fall back to their original file
+        this.image.src = img.currentSrc || img.src || img.dataset.src;
+        this.image.alt = img.alt;
+        this.dialog.querySelector('.lightbox-title').textContent = caption.title;
+        this.dialog.querySelector('.lightbox-text').textContent = caption.text;
+
+        const counter = this.dialog.querySelector('.lightbox-counter');
+        const params = { current: this.index + 1, total: this.items.length };
+        counter.dataset.translateParams = JSON.stringify(params);
+        counter.textContent = `${params.current} of ${params.total}`;
+
+        const single = this.items.length < 2;
+        this.dialog.querySelectorAll('.lightbox-nav').forEach(button => {
+            button.hidden = single;
+        });
+        this.applyTranslations();
+    }
+
+    // Title and text from the image's card; the alt text when there is no card
+    getCaption(img) {
+        const card = img.closest(Lightbox.CARD_SELECTOR);
+        const find = selector => {
+            const element = card && card.querySelector(selector);
+            return element ? element.textContent.trim() : '';
+        };
+
+        return {
+            title: find(Lightbox.CAPTION_SELECTORS.title) || img.alt,
+            text: find(Lightbox.CAPTION_SELECTORS.text)
+        };
+    }
+
+    close() {
+        if (!this.isOpen()) return;
+
+        this.dialog.classList.remove('active');
+        this.dialog.hidden = true;
+        document.body.style.overflow = '';
+        history.replaceState(history.state, '', window.location.pathname + window.location.search);
+
+        if (this.returnFocus && document.contains(this.returnFocus)) {
+            this.returnFocus.focus();
+        }
+        this.returnFocus = null;
+    }
+
+    applyTranslations() {
+        if (this.languageSupport) {
+            this.languageSupport.applyTranslations(this.dialog);
+        }
+    }
+
+    destroy() {
+        this.close();
+        this.listeners.abort();
+        if (this.dialog) {
+            this.dialog.remove();
+            this.style.remove();
+        }
+    }
+}
+
+Lightbox.IMAGE_SELECTOR = '[data-gallery] img';
+Lightbox.CARD_SELECTOR = '.journey-card, .member-card, .feature-row';
+Lightbox.CAPTION_SELECTORS = {
+    title: '.card-title, .member-name, .feature-name',
+    text: '.card-description, .member-role, .feature-description'
+};
+Lightbox.SWIPE_DISTANCE = 50;
+
+// Site Search Class
+// A command palette over the headings and paragraphs of every page, opened from the
+// nav button, Ctrl/Cmd+K or "/" outside text fields. The index (CONFIG.search.index)
+// is built by tools/build-search-index.js and fetched on first use. Queries match
+// either language; a result found only in the other language shows that text too.
+// Results on this page scroll into view through SmoothScrolling; results on another
+// page open it and scroll there once it has loaded.
+class SiteSearch {
+    constructor(app) {
+        this.app = app;
+        this.languageSupport = app.components.languageSupport;
+        this.smoothScrolling = app.components.smoothScrolling;
+        this.index = null;
+        this.indexRequest = null;
+        this.results = [];
+        this.activeIndex = -1;
+        this.returnFocus = null;
+        this.listeners = new AbortController();
+        this.init();
+    }
+
+    init() {
+        this.createToggle();
+        this.createPalette();
+        this.bindEvents();
+        this.scrollToPending();
+    }
+
+    createToggle() {
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'search-toggle';
+        toggle.textContent = '🔍';
+        toggle.setAttribute('aria-label', 'Search the site (Ctrl+K)');
+        toggle.setAttribute('data-translate-aria-label', 'search.open');
+        toggle.setAttribute('aria-haspopup', 'dialog');
+        toggle.setAttribute('aria-keyshortcuts', 'Control+K Meta+K /');
+        toggle.style.cssText = `
+            background: none;
+            border: 1px solid var(--color-border);
+            border-radius: 20px;
+            color: var(--color-text-secondary);
+            padding: 0.5rem 0.75rem;
+            font-size: 0.8rem;
+            cursor: pointer;
+            margin-left: 1rem;
+        `;
+
+        toggle.addEventListener('click', () => this.open(), { signal: this.listeners.signal });
+
+        // Ahead of the language toggle
+        const languageToggle = this.languageSupport && this.languageSupport.toggle;
+        const nav = document.querySelector('nav');
+        if (languageToggle && languageToggle.parentNode) {
+            languageToggle.before(toggle);
+        } else if (nav) {
+            nav.appendChild(toggle);
+        }
+
+        this.toggle = toggle;
+    }
+
+    createPalette() {
+        const dialog = document.createElement('div');
+        dialog.className = 'modal search-palette';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-label', 'Search');
+        dialog.setAttribute('data-translate-aria-label', 'search.label');
+        dialog.hidden = true;
+        dialog.innerHTML = `
+            <div class="search-panel">
+                <input type="search" class="search-input" role="combobox" aria-expanded="false"
+                    aria-controls="search-results" aria-autocomplete="list" autocomplete="off" spellcheck="false"
+                    aria-label="Search" data-translate-aria-label="search.label"
+                    placeholder="Search pages, features and milestones" data-translate-placeholder="search.placeholder">
+                <ul id="search-results" class="search-results" role="listbox" aria-label="Search" data-translate-aria-label="search.label"></ul>
+                <p class="search-status" role="status"></p>
+                <p class="search-hint" data-translate="search.hint">↑ ↓ to move, Enter to open, Esc to close</p>
+            </div>
+        `;
+
+        const style = document.createElement('style');
+        style.textContent = `
+            .search-palette {
+                position: fixed;
+                inset: 0;
+                z-index: 10001;
+                display: flex;
+                justify-content: center;
+                align-items: flex-start;
+                padding: 12vh 1rem 1rem;
+                background: var(--color-backdrop);
+            }
+            .search-palette[hidden] {
+                display: none;
+            }
+            .search-panel {
+                width: min(640px, 100%);
+                max-height: 70vh;
+                display: flex;
+                flex-direction: column;
+                background: var(--color-surface);
+                color: var(--color-text);
+                border: 1px solid var(--color-border);
+                border-radius: 16px;
+                box-shadow: 0 20px 50px rgba(0, 0, 0, 0.3);
+                overflow: hidden;
+            }
+            .search-input {
+                border: none;
+                border-bottom: 1px solid var(--color-border);
+                background: none;
+                color: inherit;
+                font: inherit;
+                font-size: 1.1rem;
+                padding: 1rem 1.25rem;
+            }
+            .search-input:focus {
+                outline: none;
+                box-shadow: inset 0 -2px 0 var(--color-focus);
+            }
+            .search-results {
+                list-style: none;
+                margin: 0;
+                padding: 0.5rem;
+                overflow-y: auto;
+            }
+            .search-results:empty {
+                display: none;
+            }
+            .search-result {
+                display: flex;
+                flex-direction: column;
+                gap: 0.2rem;
+                padding: 0.75rem;
+                border-radius: 10px;
+                cursor: pointer;
+            }
+            .search-result[aria-selected="true"] {
+                background: var(--color-primary-soft);
+                outline: 2px solid var(--color-focus);
+                outline-offset: -2px;
+            }
+            .search-result-location {
+                color: var(--color-primary);
+                font-size: 0.75rem;
+                font-weight: 600;
+            }
+            .search-result-alternate {
+                color: var(--color-text-muted);
+                font-size: 0.85rem;
+            }
+            .search-result mark {
+                background: none;
+                color: inherit;
+                font-weight: 700;
+                text-decoration: underline;
+                text-decoration-color: var(--color-primary);
+                text-decoration-thickness: 2px;
+            }
+            .search-status,
+            .search-hint {
+                margin: 0;
+                padding: 0.5rem 1.25rem;
+                color: var(--color-text-muted);
+                font-size: 0.8rem;
+            }
+            .search-status:empty {
+                display: none;
+            }
+            .search-hint {
+                border-top: 1px solid var(--color-border);
+            }
+            .search-target {
+                outline: 3px solid var(--color-focus);
+                outline-offset: 4px;
+                border-radius: 4px;
+                transition: outline-color 0.6s ease;
+            }
+        `;
+
+        document.head.appendChild(style);
+        document.body.appendChild(dialog);
+        this.style = style;
+        this.dialog = dialog;
+        this.input = dialog.querySelector('.search-input');
+        this.list = dialog.querySelector('.search-results');
+        this.status = dialog.querySelector('.search-status');
+        this.applyTranslations();
+    }
+
+    bindEvents() {
+        const { signal } = this.listeners;
+
+        document.addEventListener('keydown', (e) => {
+            if (this.isOpen() || this.isOtherModalOpen()) return;
+
+            const shortcut = (e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k';
+            const slash = e.key === '/' && !e.ctrlKey && !e.metaKey && !e.altKey && !this.isTyping(e.target);
+            if (shortcut || slash) {
+                e.preventDefault();
+                this.open();
+            }
+        }, { signal });
+
+        this.input.addEventListener('input', () => this.search(), { signal });
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e), { signal });
+
+        this.list.addEventListener('click', (e) => {
+            const option = e.target.closest('.search-result');
+            if (option) this.go(this.results[Number(option.dataset.index)]);
+        }, { signal });
+
+        // Clicking the backdrop closes
+        this.dialog.addEventListener('click', (e) => {
+            if (e.target === this.dialog) this.close();
+        }, { signal });
+
+        document.addEventListener('languagechange', () => {
+            if (this.isOpen()) this.search();
+        }, { signal });
+    }
+
+    handleKeydown(e) {
+        const moves = { ArrowDown: this.activeIndex + 1, ArrowUp: this.activeIndex - 1 };
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        } else if (e.key in moves) {
+            e.preventDefault();
+            this.setActive(moves[e.key]);
+        } else if (e.key === 'Enter' && this.results[this.activeIndex]) {
+            e.preventDefault();
+            this.go(this.results[this.activeIndex]);
+        }
+    }
+
+    isTyping(target) {
+        return Boolean(target.closest && target.closest('input, textarea, select, [contenteditable="true"]'));
+    }
+
+    // The shortcuts leave the lightbox and other dialogs alone
+    isOtherModalOpen() {
+        return Boolean(document.querySelector('.modal.active:not(.search-palette)'));
+    }
+
+    isOpen() {
+        return this.dialog.classList.contains('active');
+    }
+
+    open() {
+        if (this.isOpen()) return;
+
+        this.returnFocus = document.activeElement;
+        this.dialog.hidden = false;
+        this.dialog.classList.add('active');
+        document.body.style.overflow = 'hidden';
+        this.input.focus();
+        this.input.select();
+        this.loadIndex().then(() => this.search());
+    }
+
+    close({ restoreFocus = true } = {}) {
+        if (!this.isOpen()) return;
+
+        this.dialog.classList.remove('active');
+        this.dialog.hidden = true;
+        document.body.style.overflow = '';
+
+        if (restoreFocus && this.returnFocus && document.contains(this.returnFocus)) {
+            this.returnFocus.focus();
+        }
+        this.returnFocus = null;
+    }
+
+    // Fetched once; a failed request is retried the next time the palette opens
+    loadIndex() {
+        if (!this.indexRequest) {
+            this.indexRequest = fetch(CONFIG.search.index)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .then(index => {
+                    index.entries.forEach(entry => {
+                        entry.normalized = {};
+                        Object.keys(entry.text).forEach(language => {
+                            entry.normalized[language] = this.normalize(entry.text[language]);
+                        });
+                    });
+                    this.index = index;
+                })
+                .catch(error => {
+                    console.error('Failed to load the search index:', error);
+                    this.indexRequest = null;
+                });
+        }
+        return this.indexRequest;
+    }
+
+    // Lower case keeps string lengths, so match positions line up with the original text
+    normalize(text) {
+        return text.toLowerCase();
+    }
+
+    getTerms(query) {
+        return this.normalize(query).split(/\s+/).filter(Boolean);
+    }
+
+    search() {
+        const query = this.input.value.trim();
+        const terms = this.getTerms(query);
+
+        if (!this.index) {
+            this.results = [];
+            this.renderResults(terms);
+            this.status.textContent = this.indexRequest ? '' : this.app.translate('search.unavailable', 'Search is unavailable right now. Please try again later.');
+            return;
+        }
+
+        this.results = terms.length > 0 ? this.findResults(query, terms) : [];
+        this.renderResults(terms);
+
+        if (terms.length === 0) {
+            this.status.textContent = '';
+        } else if (this.results.length === 0) {
+            this.status.textContent = this.app.translate('search.empty', 'No results for “{query}”', { query });
+        } else {
+            this.status.textContent = this.app.translate('search.results', '{count} results', { count: this.results.length });
+        }
+    }
+
+    // Every term has to appear in the entry's text in one language. Headings, whole
+    // phrase matches and the current language rank higher; one result per element.
+    findResults(query, terms) {
+        const language = this.app.getLanguage();
+        const phrase = this.normalize(query);
+        const best = new Map();
+
+        this.index.entries.forEach(entry => {
+            const matched = Object.keys(entry.normalized).filter(lang =>
+                terms.every(term => entry.normalized[lang].includes(term)));
+            if (matched.length === 0) return;
+
+            const text = entry.normalized[matched.includes(language) ? language : matched[0]];
+            let score = entry.type === 'heading' ? 3 : 1;
+            if (matched.includes(language)) score += 2;
+            if (text.includes(phrase)) score += 2;
+            if (text.startsWith(terms[0])) score += 1;
+
+            const key = `${entry.page} ${entry.selector}`;
+            if (!best.has(key) || best.get(key).score < score) {
+                best.set(key, { entry, matched, score });
+            }
+        });
+
+        return Array.from(best.values())
+            .sort((a, b) => b.score - a.score)
+            .slice(0, CONFIG.search.maxResults);
+    }
+
+    renderResults(terms) {
+        const language = this.app.getLanguage();
+        this.list.innerHTML = '';
+
+        this.results.forEach((result, index) => {
+            const { entry, matched } = result;
+            const option = document.createElement('li');
+            option.id = `search-result-${index}`;
+            option.className = 'search-result';
+            option.setAttribute('role', 'option');
+            option.dataset.index = index;
+
+            const location = document.createElement('span');
+            location.className = 'search-result-location';
+            location.textContent = this.getLocation(entry, language);
+
+            const text = document.createElement('span');
+            text.className = 'search-result-text';
+            text.lang = language;
+            this.highlight(text, entry.text[language], terms);
+
+            option.append(location, text);
+
+            // Found through the other language: show what matched
+            const other = matched.find(lang => lang !== language);
+            if (other && !matched.includes(language)) {
+                const alternate = document.createElement('span');
+                alternate.className = 'search-result-alternate';
+                alternate.lang = other;
+                this.highlight(alternate, entry.text[other], terms);
+                option.appendChild(alternate);
+            }
+
+            this.list.appendChild(option);
+        });
+
+        this.input.setAttribute('aria-expanded', String(this.results.length > 0));
+        this.setActive(this.results.length > 0 ? 0 : -1);
+    }
+
+    // "Bandi App › Discover Bandi's Core Features"
+    getLocation(entry, language) {
+        const page = this.index.pages[entry.page];
+        return [page && page.title[language], entry.section && entry.section[language]]
+            .filter(Boolean)
+            .join(' › ');
+    }
+
+    // Fills `element` with a window of `text` around the first match, with every
+    // matched term wrapped in <mark>
+    highlight(element, text, terms) {
+        const normalized = this.normalize(text);
+        const first = Math.min(...terms.map(term => normalized.indexOf(term)).filter(index => index >= 0));
+        let start = 0;
+        let end = text.length;
+
+        if (text.length > SiteSearch.SNIPPET_LENGTH) {
+            start = Number.isFinite(first) ? Math.max(0, first - SiteSearch.SNIPPET_CONTEXT) : 0;
+            // Begin at a word rather than halfway through one
+            const space = text.indexOf(' ', start);
+            if (start > 0 && space !== -1 && space < first) start = space + 1;
+            end = Math.min(text.length, start + SiteSearch.SNIPPET_LENGTH);
+        }
+
+        const ranges = [];
+        terms.forEach(term => {
+            for (let index = normalized.indexOf(term, start); index !== -1 && index < end; index = normalized.indexOf(term, index + term.length)) {
+                ranges.push([index, Math.min(end, index + term.length)]);
+            }
+        });
+        ranges.sort((a, b) => a[0] - b[0]);
+
+        element.textContent = '';
+        if (start > 0) element.append('…');
+
+        let position = start;
+        ranges.forEach(([from, to]) => {
+            if (to <= position) return;
+            from = Math.max(from, position);
+            element.append(text.slice(position, from));
+            const mark = document.createElement('mark');
+            mark.textContent = text.slice(from, to);
+            element.appendChild(mark);
+            position = to;
+        });
+        element.append(text.slice(position, end));
+
+        if (end < text.length) element.append('…');
+    }
+
+    setActive(index) {
+        const options = this.list.querySelectorAll('.search-result');
+        if (options.length === 0) {
+            this.activeIndex = -1;
+            this.input.removeAttribute('aria-activedescendant');
+            return;
+        }
+
+        // Wrap around at either end
+        this.activeIndex = (index + options.length) % options.length;
+        options.forEach((option, i) => option.setAttribute('aria-selected', String(i === this.activeIndex)));
+
+        const active = options[this.activeIndex];
+        this.input.setAttribute('aria-activedescendant', active.id);
+        if (active.scrollIntoView) active.scrollIntoView({ block: 'nearest' });
+    }
+
+    go(result) {
+        if (!result) return;
+        const { entry } = result;
+
+        this.close({ restoreFocus: false });
+
+        if (entry.page === Utils.getCurrentPage()) {
+            this.jumpTo(entry.selector);
+            return;
+        }
+
+        // Without storage the page still opens, just at the top
+        Utils.storage.set(SiteSearch.PENDING_KEY, entry.selector, 'session');
+
+        const url = this.index.pages[entry.page].url;
+        window.location.href = this.languageSupport ? this.languageSupport.localizeHref(url, this.app.getLanguage()) : url;
+    }
+
+    // Scroll to the result below the fixed header (CONFIG.scrollOffset), outline it
+    // briefly and move focus there so reading continues from the result
+    jumpTo(selector) {
+        const element = document.querySelector(selector);
+        if (!element) return false;
+
+        if (this.smoothScrolling) {
+            this.smoothScrolling.scrollToElement(selector);
+        } else {
+            element.scrollIntoView();
+        }
+
+        if (!element.hasAttribute('tabindex')) element.setAttribute('tabindex', '-1');
+        element.focus({ preventScroll: true });
+        element.classList.add('search-target');
+        setTimeout(() => element.classList.remove('search-target'), SiteSearch.TARGET_HIGHLIGHT);
+        return true;
+    }
+
+    // A result chosen on another page
+    scrollToPending() {
+        const selector = Utils.storage.get(SiteSearch.PENDING_KEY, 'session');
+        Utils.storage.remove(SiteSearch.PENDING_KEY, 'session');
+        if (!selector || this.jumpTo(selector)) return;
+
+        // Timeline milestones are rendered after start-up
+        document.addEventListener('timelinerender', () => this.jumpTo(selector), { once: true, signal: this.listeners.signal });
+    }
+
+    applyTranslations() {
+        if (this.languageSupport) {
+            this.languageSupport.applyTranslations(this.dialog);
+        }
+    }
+
+    destroy() {
+        this.close();
+        this.listeners.abort();
+        this.toggle.remove();
+        this.dialog.remove();
+        this.style.remove();
+    }
+}
+
+SiteSearch.PENDING_KEY = 'search-pending-target';
+SiteSearch.SNIPPET_LENGTH = 160;
+SiteSearch.SNIPPET_CONTEXT = 40;
+SiteSearch.TARGET_HIGHLIGHT = 2000;
+
+// QR Code Encoder
+// Enough of ISO/IEC 18004 for links: byte mode, error correction level M and
+// versions 1-10, so up to 213 bytes of UTF-8. encode(text) returns { size, modules }
+// with modules[y][x] true for dark; toSvg() draws it.
+const QRCode = {
+    // Level M, by version: error correction codewords per block and the block
+    // groups as [number of blocks, data codewords per block]
+    VERSIONS: [
+        null,
+        { ec: 10, groups: [[1, 16]] },
+        { ec: 16, groups: [[1, 28]] },
+        { ec: 26, groups: [[1, 44]] },
+        { ec: 18, groups: [[2, 32]] },
+        { ec: 24, groups: [[2, 43]] },
+        { ec: 16, groups: [[4, 27]] },
+        { ec: 18, groups: [[4, 31]] },
+        { ec: 22, groups: [[2, 38], [2, 39]] },
+        { ec: 22, groups: [[3, 36], [2, 37]] },
+        { ec: 26, groups: [[4, 43], [1, 44]] }
+    ],
+
+    // Alignment pattern centres, by version
+    ALIGNMENT: [null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]],
+
+    // Which modules each mask pattern flips
+    MASKS: [
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x, y) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+        (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+        (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+        (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+    ],
+
+    encode(text) {
+        const bytes = Array.from(new TextEncoder().encode(text));
+        const version = this.VERSIONS.findIndex((info, v) => info && this.getByteCapacity(v) >= bytes.length);
+        if (version === -1) {
+            throw new RangeError(`Too long for a QR code: ${bytes.length} bytes`);
+        }
+
+        const matrix = this.createMatrix(version);
+        this.placeCodewords(matrix, this.addErrorCorrection(this.encodeData(bytes, version), version));
+
+        // The mask that leaves the fewest scanner-confusing patterns
+        let best = null;
+        this.MASKS.forEach((mask, index) => {
+            const modules = matrix.modules.map((row, y) => row.map((dark, x) => (matrix.reserved[y][x] ? dark : dark !== mask(x, y))));
+            this.drawFormat((x, y, dark) => { modules[y][x] = dark; }, matrix.size, index);
+
+            const penalty = this.getPenalty(modules);
+            if (!best || penalty < best.penalty) best = { modules, penalty };
+        });
+
+        return { size: matrix.size, modules: best.modules };
+    },
+
+    getDataCodewords(version) {
+        return this.VERSIONS[version].groups.reduce((sum, [count, length]) => sum + count * length, 0);
+    },
+
+    // Mode indicator and character count come first
+    getByteCapacity(version) {
+        const countBits = version <= 9 ? 8 : 16;
+        return Math.floor((this.getDataCodewords(version) * 8 - 4 - countBits) / 8);
+    },
+
+    encodeData(bytes, version) {
+        const bits = [];
+        const push = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+
+        push(0b0100, 4);
+        push(bytes.length, version <= 9 ? 8 : 16);
+        bytes.forEach(byte => push(byte, 8));
+
+        const capacity = this.getDataCodewords(version) * 8;
+        push(0, Math.min(4, capacity - bits.length));
+        push(0, (8 - bits.length % 8) % 8);
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+        }
+        // Alternating pad bytes fill the rest
+        for (let pad = 0xEC; codewords.length < capacity / 8; pad ^= 0xEC ^ 0x11) {
+            codewords.push(pad);
+        }
+        return codewords;
+    },
+
+    // Split into blocks, add Reed-Solomon codewords to each and interleave
+    addErrorCorrection(data, version) {
+        const { ec, groups } = this.VERSIONS[version];
+        const divisor = this.getDivisor(ec);
+        const blocks = [];
+        let offset = 0;
+
+        groups.forEach(([count, length]) => {
+            for (let i = 0; i < count; i++) {
+                const block = data.slice(offset, offset + length);
+                offset += length;
+                blocks.push({ data: block, ec: this.getRemainder(block, divisor) });
+            }
+        });
+
+        const result = [];
+        const longest = Math.max(...blocks.map(block => block.data.length));
+        for (let i = 0; i < longest; i++) {
+            blocks.forEach(block => {
+                if (i < block.data.length) result.push(block.data[i]);
+            });
+        }
+        for (let i = 0; i < ec; i++) {
+            blocks.forEach(block => result.push(block.ec[i]));
+        }
+        return result;
+    },
+
+    // Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+    multiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    },
+
+    // Generator polynomial of the given degree, highest coefficient dropped
+    getDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = this.multiply(result[j], root);
+                if (j + 1 < result.length) result[j] ^= result[j + 1];
+            }
+            root = this.multiply(root, 0x02);
+        }
+        return result;
+    },
+
+    getRemainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= this.multiply(coefficient, factor);
+            });
+        });
+        return result;
+    },
+
+    // Finder, timing and alignment patterns plus reserved format and version areas
+    createMatrix(version) {
+        const size = version * 4 + 17;
+        const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+        const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+        const set = (x, y, dark) => {
+            modules[y][x] = dark;
+            reserved[y][x] = true;
+        };
+
+        for (let i = 0; i < size; i++) {
+            set(6, i, i % 2 === 0);
+            set(i, 6, i % 2 === 0);
+        }
+
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        });
+
+        const centres = this.ALIGNMENT[version];
+        const last = centres.length - 1;
+        centres.forEach((cy, i) => centres.forEach((cx, j) => {
+            // Corners taken by the finder patterns
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        }));
+
+        this.drawFormat(set, size, 0);
+
+        if (version >= 7) {
+            let remainder = version;
+            for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+            const bits = (version << 12) | remainder;
+
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) === 1;
+                const a = size - 11 + (i % 3);
+                const b = Math.floor(i / 3);
+                set(a, b, dark);
+                set(b, a, dark);
+            }
+        }
+
+        return { size, modules, reserved };
+    },
+
+    // Both copies of the 15-bit format information (level M and the mask), plus the
+    // module that is always dark
+    drawFormat(set, size, mask) {
+        const data = mask; // level M's indicator is 00
+        let remainder = data;
+        for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) === 1;
+
+        for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+        set(8, 7, bit(6));
+        set(8, 8, bit(7));
+        set(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+        set(8, size - 8, true);
+    },
+
+    // Two-column zigzag from the bottom right, skipping the vertical timing pattern
+    placeCodewords({ size, modules, reserved }, codewords) {
+        let index = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            const upward = ((right + 1) & 2) === 0;
+
+            for (let step = 0; step < size; step++) {
+                const y = upward ? size - 1 - step : step;
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    if (reserved[y][x]) continue;
+                    // Leftover modules stay light
+                    modules[y][x] = index < codewords.length * 8 && ((codewords[index >>> 3] >>> (7 - (index & 7))) & 1) === 1;
+                    index++;
+                }
+            }
+        }
+    },
+
+    // The standard's penalty rules: long runs, 2x2 blocks, finder look-alikes and
+    // an unbalanced share of dark modules
+    getPenalty(modules) {
+        const size = modules.length;
+        let penalty = 0;
+
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(modules[i], modules.map(row => row[i]));
+        }
+        lines.forEach(line => {
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    run++;
+                } else {
+                    if (run >= 5) penalty += run - 2;
+                    run = 1;
+                }
+            }
+            const text = line.map(dark => (dark ? '1' : '0')).join('');
+            penalty += 40 * (text.match(/(?=10111010000|00001011101)/g) || []).length;
+        });
+
+        let dark = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (x < size - 1 && y < size - 1 && modules[y][x] === modules[y][x + 1] &&
+                    modules[y][x] === modules[y + 1][x] && modules[y][x] === modules[y + 1][x + 1]) {
+                    penalty += 3;
+                }
+            }
+        }
+
+        const total = size * size;
+        penalty += Math.max(0, Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        return penalty;
+    },
+
+    // Black on white whatever the theme - scanners need the contrast - with the
+    // standard four-module quiet zone
+    toSvg({ size, modules }, margin = 4) {
+        const full = size + margin * 2;
+        let path = '';
+        modules.forEach((row, y) => row.forEach((dark, x) => {
+            if (dark) path += `M${x + margin} ${y + margin}h1v1h-1z`;
+        }));
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${full} ${full}" shape-rendering="crispEdges">` +
+            `<rect width="${full}" height="${full}" fill="#ffffff"/><path d="${path}" fill="#000000"/></svg>`;
+    }
+};
+
+// App Downloads Class
+// Store badges inside [data-app-download] containers, recognised by their links'
+// hosts (AppDownloads.STORES). Phones get their own store first, with the other one
+// kept smaller; desktops also get a QR code that opens this page on a phone. Store
+// links carry the visit's campaign - the page URL's utm_* parameters, with
+// CONFIG.downloads.defaults filling the gaps and utm_content naming the page - as
+// Google Play's install `referrer` and the App Store's `ct` campaign token.
+class AppDownloads {
+    constructor(app) {
+        this.languageSupport = app.components.languageSupport;
+        this.containers = document.querySelectorAll('[data-app-download]');
+        this.platform = AppDownloads.detectPlatform();
+        this.figures = [];
+        this.listeners = new AbortController();
+        this.init();
+    }
+
+    init() {
+        if (this.containers.length === 0) return;
+
+        const campaign = this.getCampaign();
+        this.containers.forEach(container => {
+            container.dataset.platform = this.platform;
+            this.routeLinks(container, campaign);
+        });
+
+        if (this.platform !== 'desktop') return;
+
+        this.addStyles();
+        this.renderQrCodes(campaign);
+
+        // The QR link carries ?lang=, so it follows the language toggle
+        document.addEventListener('languagechange', () => this.renderQrCodes(campaign), { signal: this.listeners.signal });
+    }
+
+    // 'ios', 'android' or 'desktop'
+    static detectPlatform(userAgent = navigator.userAgent) {
+        if (/android/i.test(userAgent)) return 'android';
+        // iPadOS asks for desktop sites and says it is a Mac; touch support gives it away
+        if (/iphone|ipad|ipod/i.test(userAgent) || (/macintosh/i.test(userAgent) && navigator.maxTouchPoints > 1)) return 'ios';
+        return 'desktop';
+    }
+
+    static getStore(link) {
+        let host;
+        try {
+            host = new URL(link.href).hostname;
+        } catch (error) {
+            return null;
+        }
+        return Object.keys(AppDownloads.STORES).find(store => AppDownloads.STORES[store] === host) || null;
+    }
+
+    getCampaign() {
+        const params = new URLSearchParams(window.location.search);
+        const campaign = { ...CONFIG.downloads.defaults, utm_content: Utils.getCurrentPage() };
+
+        AppDownloads.CAMPAIGN_PARAMS.forEach(name => {
+            const value = params.get(name);
+            if (value) campaign[name] = value;
+        });
+        return campaign;
+    }
+
+    routeLinks(container, campaign) {
+        const links = Array.from(container.querySelectorAll('a[href]')).filter(link => AppDownloads.getStore(link));
+
+        links.forEach(link => {
+            link.dataset.store = AppDownloads.getStore(link);
+            link.href = this.getStoreUrl(link.href, link.dataset.store, campaign);
+            link.rel = 'noopener';
+        });
+
+        const preferred = links.find(link => link.dataset.store === this.platform);
+        if (!preferred) return;
+
+        preferred.classList.add('is-recommended');
+        preferred.parentNode.prepend(preferred);
+        links.filter(link => link !== preferred).forEach(link => link.classList.add('is-alternative'));
+    }
+
+    getStoreUrl(href, store, campaign) {
+        const url = new URL(href);
+
+        if (store === 'android') {
+            url.searchParams.set('referrer', new URLSearchParams(campaign).toString());
+        } else {
+            // App Store Connect keeps at most 40 characters of a campaign token
+            const token = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_content']
+                .map(name => campaign[name])
+                .filter(Boolean)
+                .join('-');
+            url.searchParams.set('ct', token.slice(0, 40));
+            if (CONFIG.downloads.appStoreProviderToken) {
+                url.searchParams.set('pt', CONFIG.downloads.appStoreProviderToken);
+            }
+        }
+        return url.toString();
+    }
+
+    // This page, scrolled to the download section, with the campaign marked as a QR handoff
+    getHandoffUrl(container, campaign) {
+        const url = new URL(window.location.href);
+        Object.entries({ ...campaign, utm_medium: AppDownloads.QR_MEDIUM }).forEach(([name, value]) => {
+            url.searchParams.set(name, value);
+        });
+
+        const section = container.closest('section[id]');
+        url.hash = section ? section.id : '';
+        return url.toString();
+    }
+
+    renderQrCodes(campaign) {
+        this.figures.forEach(figure => figure.remove());
+        this.figures = [];
+
+        this.containers.forEach(container => {
+            let svg;
+            try {
+                svg = QRCode.toSvg(QRCode.encode(this.getHandoffUrl(container, campaign)));
+            } catch (error) {
+                // A very long URL: the badges still work
+                console.warn('No QR code for the download links:', error.message);
+                return;
+            }
+
+            const figure = document.createElement('figure');
+            figure.className = 'download-qr';
+            figure.innerHTML = `${svg}<figcaption data-translate="download.qr">Scan with your phone to get Bandi</figcaption>`;
+
+            const image = figure.querySelector('svg');
+            image.setAttribute('role', 'img');
+            image.setAttribute('aria-label', 'QR code that opens this page on your phone');
+            image.setAttribute('data-translate-aria-label', 'download.qrLabel');
+
+            container.after(figure);
+            if (this.languageSupport) this.languageSupport.applyTranslations(figure);
+            this.figures.push(figure);
+        });
+    }
+
+    addStyles() {
+        const style = document.createElement('style');
+        style.textContent = `
+            .download-qr {
+                display: flex;
+                flex-direction: column;
+                align-items: center;
+                gap: 0.5rem;
+                width: fit-content;
+                margin: 2rem auto 0;
+                padding: 1rem;
+                border: 1px solid var(--color-border);
+                border-radius: 16px;
+                background: var(--color-surface);
+            }
+            .download-qr svg {
+                width: 160px;
+                height: 160px;
+            }
+            .download-qr figcaption {
+                max-width: 180px;
+                color: var(--color-text-secondary);
+                font-size: 0.9rem;
+                text-align: center;
+            }
+            .store-button.is-alternative {
+                opacity: 0.75;
+            }
+            .store-button.is-alternative img {
+                height: 44px;
+            }
+        `;
+        document.head.appendChild(style);
+        this.style = style;
+    }
+
+    destroy() {
+        this.listeners.abort();
+        this.figures.forEach(figure => figure.remove());
+        if (this.style) this.style.remove();
+    }
+}
+
+AppDownloads.STORES = { ios: 'apps.apple.com', android: 'play.google.com' };
+AppDownloads.CAMPAIGN_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+AppDownloads.QR_MEDIUM = 'qr-handoff';
+
+// Analytics Class
+// First-party, cookie-less usage statistics: page views, CTA clicks, outbound links,
+// how far each section was scrolled and language toggles. Nothing identifies a visitor
+// beyond a random id for the current page view. It stays off while
+// CONFIG.analytics.endpoint is empty and for visitors who send Do Not Track or Global
+// Privacy Control; everyone else is asked first, and events only leave the browser
+// after they agree.
+class Analytics {
+    constructor(app, options = CONFIG.analytics) {
+        this.options = options;
+        this.languageSupport = app.components.languageSupport;
+        this.viewId = Math.random().toString(36).slice(2, 10);
+        this.queue = [];
+        this.flushTimer = null;
+        this.depths = new Map();
+        this.reportedDepths = new Map();
+        this.listeners = new AbortController();
+        this.init();
+    }
+
+    init() {
+        if (!this.options.endpoint || Analytics.hasOptedOut()) return;
+
+        this.consent = this.getStoredConsent();
+        if (this.consent === 'denied') return;
+
+        this.sections = Array.from(document.querySelectorAll(Analytics.SECTION_SELECTOR));
+        this.record('pageview', { title: document.title, referrer: this.getReferrer() });
+        this.setupTracking();
+
+        if (!this.consent) this.showConsentBanner();
+    }
+
+    // Do Not Track or Global Privacy Control; either one means no tracking and no banner
+    static hasOptedOut() {
+        const doNotTrack = navigator.doNotTrack || window.doNotTrack;
+        return navigator.globalPrivacyControl === true || doNotTrack === '1' || doNotTrack === 'yes';
+    }
+
+    // Without storage the visitor is asked again on every page
+    getStoredConsent() {
+        return Utils.storage.get(Analytics.CONSENT_KEY);
+    }
+
+    setConsent(granted) {
+        this.consent = granted ? 'granted' : 'denied';
+        Utils.storage.set(Analytics.CONSENT_KEY, this.consent);
+
+        this.hideConsentBanner();
+        if (granted) {
+            this.flush();
+        } else {
+            // Drop what was collected while waiting for an answer
+            this.queue = [];
+            clearTimeout(this.flushTimer);
+            this.listeners.abort();
+        }
+    }
+
+    // Only where the visit came from, never the full address
+    getReferrer() {
+        try {
+            const referrer = new URL(document.referrer);
+            return referrer.host === window.location.host ? 'internal' : referrer.hostname;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    setupTracking() {
+        const { signal } = this.listeners;
+
+        document.addEventListener('click', (e) => this.handleClick(e), { signal });
+        // Middle clicks open links too
+        document.addEventListener('auxclick', (e) => {
+            if (e.button === 1) this.handleClick(e);
+        }, { signal });
+
+        window.addEventListener('scroll', Utils.throttle(() => this.measureSections(), 250), { passive: true, signal });
+        this.measureSections();
+
+        // pagehide alone misses tabs that are closed from the background on mobile
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flush();
+        }, { signal });
+        window.addEventListener('pagehide', () => this.flush(), { signal });
+    }
+
+    handleClick(e) {
+        if (!(e.target instanceof Element)) return;
+
+        // Recorded before the toggle's own handler has switched the language
+        if (this.languageSupport && e.target.closest('.language-toggle')) {
+            const from = this.languageSupport.currentLanguage;
+            this.record('language', { from, to: from === 'en' ? 'ko' : 'en' });
+            return;
+        }
+
+        const link = e.target.closest('a[href]');
+        const outbound = link ? this.getOutboundKind(link) : null;
+        const cta = e.target.closest(Analytics.CTA_SELECTOR);
+
+        if (cta) {
+            this.record('cta', {
+                label: cta.dataset.analytics || cta.dataset.translate || Utils.describeElement(cta),
+                outbound
+            });
+        } else if (outbound) {
+            this.record('outbound', { kind: outbound, target: outbound === 'mailto' ? null : link.hostname });
+        }
+    }
+
+    // 'store', 'instagram', 'mailto' or 'link' for links that leave the site
+    getOutboundKind(link) {
+        if (link.protocol === 'mailto:') return 'mailto';
+        if (!/^https?:$/.test(link.protocol) || link.host === window.location.host) return null;
+        if (AppDownloads.getStore(link)) return 'store';
+        if (/(^|\.)instagram\.com$/.test(link.hostname)) return 'instagram';
+        return 'link';
+    }
+
+    // Deepest mark in Analytics.SCROLL_MARKS reached in each section: how much of it
+    // has come above the bottom of the viewport
+    measureSections() {
+        this.sections.forEach((section, index) => {
+            const rect = section.getBoundingClientRect();
+            if (rect.height === 0) return;
+
+            const seen = Math.min(1, Math.max(0, (window.innerHeight - rect.top) / rect.height)) * 100;
+            const mark = Analytics.SCROLL_MARKS.filter(value => seen >= value).pop();
+            // Several sections can share a class; the position keeps their names apart
+            const name = section.id || `${section.classList[0] || 'section'}-${index + 1}`;
+
+            if (mark && mark > (this.depths.get(name) || 0)) this.depths.set(name, mark);
+        });
+    }
+
+    // One event with every section that got further since the last report
+    recordScrollDepth() {
+        const sections = {};
+        this.depths.forEach((depth, name) => {
+            if (depth > (this.reportedDepths.get(name) || 0)) {
+                sections[name] = depth;
+                this.reportedDepths.set(name, depth);
+            }
+        });
+
+        if (Object.keys(sections).length > 0) {
+            this.queue.push({ type: 'scroll', sections, timestamp: new Date().toISOString() });
+        }
+    }
+
+    record(type, data = {}) {
+        this.queue.push({ type, ...data, timestamp: new Date().toISOString() });
+        // Held back until the visitor answers the banner
+        if (this.consent !== 'granted') return;
+
+        if (this.queue.length >= this.options.batchSize) {
+            this.flush();
+        } else if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), this.options.flushInterval);
+        }
+    }
+
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        if (this.consent !== 'granted') return;
+
+        this.recordScrollDepth();
+        if (this.queue.length === 0) return;
+
+        Utils.sendBeacon(this.options.endpoint, {
+            context: { ...Utils.getPageContext(), view: this.viewId },
+            events: this.queue.splice(0)
+        });
+    }
+
+    showConsentBanner() {
+        const banner = document.createElement('div');
+        banner.className = 'analytics-consent';
+        banner.setAttribute('role', 'region');
+        banner.setAttribute('aria-label', 'Usage statistics');
+        banner.setAttribute('data-translate-aria-label', 'analytics.consent.label');
+        banner.innerHTML = `
+            <p data-translate="analytics.consent.text">We'd like to count page visits and clicks to improve this site. No cookies, nothing that identifies you.</p>
+            <div class="analytics-consent-actions">
+                <button type="button" class="analytics-consent-decline" data-translate="analytics.consent.decline">No thanks</button>
+                <button type="button" class="analytics-consent-accept" data-translate="analytics.consent.accept">Allow</button>
+            </div>
+        `;
+        // Raised clear of the crisis resources button
+        banner.style.cssText = `
+            position: fixed;
+            left: 50%;
+            bottom: 80px;
+            transform: translateX(-50%);
+            z-index: 9000;
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 0.75rem 1rem;
+            width: min(640px, calc(100% - 40px));
+            padding: 1rem 1.25rem;
+            border: 1px solid var(--color-border);
+            border-radius: 12px;
+            background: var(--color-surface);
+            color: var(--color-text);
+            box-shadow: 0 8px 24px rgba(0, 0, 0, 0.15);
+            font-size: 0.9rem;
+        `;
+
+        const text = banner.querySelector('p');
+        text.style.cssText = 'flex: 1 1 280px; margin: 0;';
+        banner.querySelector('.analytics-consent-actions').style.cssText = 'display: flex; gap: 0.5rem; margin-left: auto;';
+
+        const buttonStyle = `
+            padding: 0.5rem 1rem;
+            border-radius: 8px;
+            font: inherit;
+            cursor: pointer;
+        `;
+        const decline = banner.querySelector('.analytics-consent-decline');
+        decline.style.cssText = `${buttonStyle} border: 1px solid var(--color-border); background: none; color: var(--color-text);`;
+        const accept = banner.querySelector('.analytics-consent-accept');
+        accept.style.cssText = `${buttonStyle} border: 1px solid var(--color-primary); background: var(--color-primary); color: var(--color-on-primary);`;
+
+        decline.addEventListener('click', () => this.setConsent(false));
+        accept.addEventListener('click', () => this.setConsent(true));
+
+        if (this.languageSupport) this.languageSupport.applyTranslations(banner);
+        document.body.appendChild(banner);
+        this.banner = banner;
+    }
+
+    hideConsentBanner() {
+        if (!this.banner) return;
+
+        // Don't strand keyboard focus on a removed button
+        if (this.banner.contains(document.activeElement)) {
+            const main = document.querySelector('main');
+            if (main) {
+                main.setAttribute('tabindex', '-1');
+                main.focus({ preventScroll: true });
+            }
+        }
+        this.banner.remove();
+        this.banner = null;
+    }
+
+    destroy() {
+        this.flush();
+        this.listeners.abort();
+        clearTimeout(this.flushTimer);
+        this.hideConsentBanner();
+    }
+}
+
+Analytics.CONSENT_KEY = 'analytics-consent';
+Analytics.SECTION_SELECTOR = 'main section';
+Analytics.SCROLL_MARKS = [25, 50, 75, 100];
+// Calls to action worth counting; data-analytics names any other element to count
+Analytics.CTA_SELECTOR = '.btn-primary, .contact-cta, [data-analytics]';
+
+// Crisis Resources Class
+// A "Need help now?" button on every page that opens crisis lines in a dialog,
+// trapped through AccessibilityHelper's `.modal.active` handling. Korean visitors see
+// Korea's lines; English visitors see their browser's country first, then the others
+// in CrisisResources.LANGUAGE_REGIONS. The numbers live here rather than in a data
+// file so they show even when a request fails. Quick exit replaces this page in the
+// history with an unrelated site. It is registered without dependencies so the button
+// stays even when LanguageSupport is missing or failed; it then shows English.
+class CrisisResources {
+    constructor(app) {
+        this.app = app;
+        this.languageSupport = app.components.languageSupport;
+        this.returnFocus = null;
+        this.listeners = new AbortController();
+        this.init();
+    }
+
+    init() {
+        this.createToggle();
+        this.createDialog();
+        this.bindEvents();
+    }
+
+    createToggle() {
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'crisis-toggle';
+        toggle.setAttribute('aria-haspopup', 'dialog');
+        toggle.innerHTML = '<span aria-hidden="true">💛</span> <span data-translate="crisis.open">Need help now?</span>';
+        document.body.appendChild(toggle);
+        this.toggle = toggle;
+    }
+
+    createDialog() {
+        const dialog = document.createElement('div');
+        dialog.className = 'modal crisis-dialog';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', 'crisis-title');
+        dialog.setAttribute('aria-describedby', 'crisis-intro');
+        dialog.hidden = true;
+        dialog.innerHTML = `
+            <div class="crisis-panel">
+                <div class="crisis-header">
+                    <h2 id="crisis-title" data-translate="crisis.title">Need help now?</h2>
+                    <button type="button" class="crisis-close" aria-label="Close" data-translate-aria-label="crisis.close">×</button>
+                </div>
+                <p id="crisis-intro" data-translate="crisis.intro">If you are thinking about suicide or feel you can't cope, you don't have to face it alone. These lines are free and confidential.</p>
+                <p class="crisis-emergency" data-translate="crisis.emergency">If you are in immediate danger, call 119 in Korea or your local emergency number.</p>
+                <div class="crisis-regions"></div>
+                <p class="crisis-elsewhere">
+                    <span data-translate="crisis.elsewhere">Somewhere else?</span>
+                    <a href="https://findahelpline.com" target="_blank" rel="noopener" data-translate="crisis.directory">Find a helpline in your country</a>
+                </p>
+                <div class="crisis-exit">
+                    <button type="button" class="crisis-exit-button" data-translate="crisis.exit">Leave this site quickly</button>
+                    <p data-translate="crisis.exitHint">Opens an unrelated site and removes this page from the Back button.</p>
+                </div>
+            </div>
+        `;
+
+        const style = document.createElement('style');
+        style.textContent = `
+            .crisis-toggle {
+                position: fixed;
+                right: 20px;
+                bottom: 20px;
+                z-index: 9500;
+                padding: 0.6rem 1rem;
+                border: 1px solid var(--color-border);
+                border-radius: 999px;
+                background: var(--color-surface);
+                color: var(--color-text);
+                box-shadow: 0 4px 14px rgba(0, 0, 0, 0.15);
+                font: inherit;
+                font-size: 0.9rem;
+                font-weight: 600;
+                cursor: pointer;
+            }
+            .crisis-dialog {
+                position: fixed;
+                inset: 0;
+                z-index: 10001;
+                display: flex;
+                justify-content: center;
+                align-items: center;
+                padding: 1rem;
+                background: var(--color-backdrop);
+            }
+            .crisis-dialog[hidden] {
+                display: none;
+            }
+            .crisis-panel {
+                width: min(560px, 100%);
+                max-height: calc(100vh - 2rem);
+                overflow-y: auto;
+                padding: 1.5rem;
+                border: 1px solid var(--color-border);
+                border-radius: 16px;
+                background: var(--color-surface);
+                color: var(--color-text);
+                box-shadow: 0 20px 50px rgba(0, 0, 0, 0.3);
+            }
+            .crisis-header {
+                display: flex;
+                justify-content: space-between;
+                align-items: flex-start;
+                gap: 1rem;
+            }
+            .crisis-header h2 {
+                margin: 0 0 0.75rem;
+                font-size: 1.4rem;
+            }
+            .crisis-close {
+                border: none;
+                background: none;
+                color: var(--color-text-secondary);
+                font-size: 1.75rem;
+                line-height: 1;
+                cursor: pointer;
+            }
+            .crisis-panel p {
+                margin: 0 0 1rem;
+                line-height: 1.6;
+            }
+            .crisis-emergency {
+                padding: 0.75rem 1rem;
+                border-left: 4px solid var(--color-error);
+                border-radius: 8px;
+                background: var(--color-surface-muted);
+                font-weight: 600;
+            }
+            .crisis-region h3 {
+                margin: 0 0 0.5rem;
+                color: var(--color-text-secondary);
+                font-size: 0.95rem;
+            }
+            .crisis-lines {
+                list-style: none;
+                margin: 0 0 1.25rem;
+                padding: 0;
+            }
+            .crisis-line {
+                display: flex;
+                align-items: baseline;
+                gap: 0.75rem;
+                padding: 0.5rem 0;
+                border-bottom: 1px solid var(--color-border);
+            }
+            .crisis-number {
+                min-width: 6.5rem;
+                color: var(--color-primary-strong);
+                font-size: 1.15rem;
+                font-weight: 700;
+                white-space: nowrap;
+            }
+            .crisis-line-label {
+                color: var(--color-text-secondary);
+                font-size: 0.9rem;
+            }
+            .crisis-elsewhere a {
+                color: var(--color-primary-strong);
+            }
+            .crisis-exit {
+                padding-top: 1rem;
+                border-top: 1px solid var(--color-border);
+            }
+            .crisis-exit-button {
+                width: 100%;
+                padding: 0.75rem 1rem;
+                border: none;
+                border-radius: 10px;
+                background: var(--color-error-strong);
+                color: var(--color-on-primary);
+                font: inherit;
+                font-weight: 700;
+                cursor: pointer;
+            }
+            .crisis-exit p {
+                margin: 0.5rem 0 0;
+                color: var(--color-text-muted);
+                font-size: 0.8rem;
+                text-align: center;
+            }
+        `;
+
+        document.head.appendChild(style);
+        document.body.appendChild(dialog);
+        this.style = style;
+        this.dialog = dialog;
+        this.regions = dialog.querySelector('.crisis-regions');
+        this.renderLines();
+        if (this.languageSupport) {
+            this.languageSupport.applyTranslations(this.dialog);
+            this.languageSupport.applyTranslations(this.toggle);
+        }
+    }
+
+    bindEvents() {
+        const { signal } = this.listeners;
+
+        this.toggle.addEventListener('click', () => this.open(), { signal });
+        this.dialog.querySelector('.crisis-close').addEventListener('click', () => this.close(), { signal });
+        this.dialog.querySelector('.crisis-exit-button').addEventListener('click', () => CrisisResources.quickExit(), { signal });
+
+        this.dialog.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.close();
+            }
+        }, { signal });
+
+        // Clicking the backdrop closes
+        this.dialog.addEventListener('click', (e) => {
+            if (e.target === this.dialog) this.close();
+        }, { signal });
+
+        document.addEventListener('languagechange', () => this.renderLines(), { signal });
+    }
+
+    // The site language's regions, with the browser's own country (en-GB -> GB) first
+    getRegions() {
+        const regions = CrisisResources.LANGUAGE_REGIONS[this.app.getLanguage()] || CrisisResources.LANGUAGE_REGIONS[CONFIG.language];
+        const browserRegions = (navigator.languages || [navigator.language])
+            .map(locale => String(locale).split('-')[1])
+            .filter(Boolean)
+            .map(region => region.toUpperCase());
+        const home = browserRegions.find(region => regions.includes(region));
+
+        return home ? [home, ...regions.filter(region => region !== home)] : regions;
+    }
+
+    renderLines() {
+        this.regions.innerHTML = '';
+
+        this.getRegions().forEach(code => {
+            const region = CrisisResources.REGIONS[code];
+            const section = document.createElement('section');
+            section.className = 'crisis-region';
+
+            const heading = document.createElement('h3');
+            heading.id = `crisis-region-${code.toLowerCase()}`;
+            heading.textContent = this.app.localize(region.name);
+            section.setAttribute('aria-labelledby', heading.id);
+
+            const list = document.createElement('ul');
+            list.className = 'crisis-lines';
+            region.lines.forEach(line => {
+                const item = document.createElement('li');
+                item.className = 'crisis-line';
+
+                const number = document.createElement('a');
+                number.className = 'crisis-number';
+                number.href = `tel:${line.number.replace(/\s/g, '')}`;
+                number.textContent = line.number;
+
+                const label = document.createElement('span');
+                label.className = 'crisis-line-label';
+                label.textContent = this.app.localize(line.label);
+
+                item.append(number, label);
+                list.appendChild(item);
+            });
+
+            section.append(heading, list);
+            this.regions.appendChild(section);
+        });
+    }
+
+    isOpen() {
+        return this.dialog.classList.contains('active');
+    }
+
+    open() {
+        if (this.isOpen()) return;
+
+        this.returnFocus = document.activeElement;
+        this.dialog.hidden = false;
+        this.dialog.classList.add('active');
+        document.body.style.overflow = 'hidden';
+        this.dialog.querySelector('.crisis-close').focus();
+    }
+
+    close() {
+        if (!this.isOpen()) return;
+
+        this.dialog.classList.remove('active');
+        this.dialog.hidden = true;
+        document.body.style.overflow = '';
+
+        if (this.returnFocus && document.contains(this.returnFocus)) {
+            this.returnFocus.focus();
+        }
+        this.returnFocus = null;
+    }
+
+    // replace() keeps this page out of the Back button. Earlier pages of this site stay
+    // in the history; browsers offer no way to remove them.
+    static quickExit() {
+        document.body.hidden = true;
+        window.location.replace(CrisisResources.EXIT_URL);
+    }
+
+    destroy() {
+        this.close();
+        this.listeners.abort();
+        this.toggle.remove();
+        this.dialog.remove();
+        this.style.remove();
+    }
+}
+
+// Region codes listed for each site language, in order
+CrisisResources.LANGUAGE_REGIONS = {
+    ko: ['KR'],
+    en: ['KR', 'US', 'CA', 'GB', 'IE', 'AU', 'NZ']
+};
+CrisisResources.REGIONS = {
+    KR: {
+        name: { en: 'South Korea', ko: '대한민국' },
+        lines: [
+            { number: '109', label: { en: 'Suicide prevention helpline, 24 hours', ko: '자살예방상담전화, 24시간' } },
+            { number: '1393', label: { en: 'Suicide prevention counselling, 24 hours', ko: '자살예방 상담, 24시간' } },
+            { number: '1577-0199', label: { en: 'Mental health crisis counselling, 24 hours', ko: '정신건강위기 상담전화, 24시간' } },
+            { number: '1388', label: { en: 'Youth counselling, 24 hours', ko: '청소년 상담, 24시간' } }
+        ]
+    },
+    US: {
+        name: { en: 'United States', ko: '미국' },
+        lines: [{ number: '988', label: { en: '988 Suicide & Crisis Lifeline, call or text', ko: '988 자살·위기 상담, 전화 또는 문자' } }]
+    },
+    CA: {
+        name: { en: 'Canada', ko: '캐나다' },
+        lines: [{ number: '988', label: { en: '9-8-8 Suicide Crisis Helpline, call or text', ko: '9-8-8 자살 위기 상담, 전화 또는 문자' } }]
+    },
+    GB: {
+        name: { en: 'United Kingdom', ko: '영국' },
+        lines: [{ number: '116 123', label: { en: 'Samaritans, 24 hours', ko: 'Samaritans, 24시간' } }]
+    },
+    IE: {
+        name: { en: 'Ireland', ko: '아일랜드' },
+        lines: [{ number: '116 123', label: { en: 'Samaritans, 24 hours', ko: 'Samaritans, 24시간' } }]
+    },
+    AU: {
+        name: { en: 'Australia', ko: '호주' },
+        lines: [{ number: '13 11 14', label: { en: 'Lifeline, 24 hours', ko: 'Lifeline, 24시간' } }]
+    },
+    NZ: {
+        name: { en: 'New Zealand', ko: '뉴질랜드' },
+        lines: [{ number: '1737', label: { en: 'Need to talk? Call or text, 24 hours', ko: 'Need to talk? 전화 또는 문자, 24시간' } }]
+    }
+};
+// Where quick exit goes: ordinary and unrelated
+CrisisResources.EXIT_URL = 'https://www.google.com/search?q=weather';
+
+// Error Handler Class
+// Uncaught errors are logged and, once CONFIG.errorReporting.endpoint is set, reported
+// in batches via navigator.sendBeacon. Reports are de-duplicated by a message + stack
+// fingerprint, sampled once per session, capped per session and stripped of email
+// addresses. `node tools/mock-server.js` provides a local /api/errors endpoint.
+class ErrorHandler {
+    constructor(options = CONFIG.errorReporting) {
+        this.options = options;
+        this.queue = [];
+        this.reported = new Set();
+        this.flushTimer = null;
+        this.listeners = new AbortController();
+        this.init();
+    }
+
+    init() {
+        this.setupGlobalErrorHandling();
+        this.setupUnhandledRejectionHandling();
+
+        this.enabled = Boolean(this.options.endpoint) && this.isSessionSampled();
+        if (this.enabled) {
+            // Last chance to send what is still queued
+            window.addEventListener('pagehide', () => this.flush(), { signal: this.listeners.signal });
+        }
+    }
+
+    setupGlobalErrorHandling() {
+        window.addEventListener('error', (event) => {
+            this.logError('JavaScript Error', {
+                message: event.message,
+                filename: event.filename,
+                lineno: event.lineno,
+                colno: event.colno,
+                stack: event.error?.stack
+            });
+        }, { signal: this.listeners.signal });
+    }
+
+    setupUnhandledRejectionHandling() {
+        window.addEventListener('unhandledrejection', (event) => {
+            this.logError('Unhandled Promise Rejection', {
+                message: event.reason?.message || String(event.reason),
+                stack: event.reason?.stack
+            });
+        }, { signal: this.listeners.signal });
+    }
+
     logError(type, details) {
         console.error(`${type}:`, details);
-        
-        // In production, you might want to send errors to a logging service
-        // this.sendErrorToService(type, details);
+
+        if (this.enabled) {
+            this.queueReport(type, details);
+        }
+    }
+
+    // The sampling decision is kept for the whole session so a visitor is either fully
+    // reported or not at all
+    isSessionSampled() {
+        const key = 'error-reporting-sampled';
+        let sampled = Utils.storage.get(key, 'session');
+        if (sampled === null) {
+            sampled = String(Math.random() < this.options.sampleRate);
+            Utils.storage.set(key, sampled, 'session');
+        }
+        return sampled === 'true';
+    }
+
+    queueReport(type, details) {
+        const message = this.redact(details.message || type);
+        const stack = this.redact(details.stack || '');
+        const fingerprint = this.fingerprint(message, stack);
+
+        // Repeats of a queued error only raise its count; sent ones are not sent again
+        const queued = this.queue.find(report => report.fingerprint === fingerprint);
+        if (queued) {
+            queued.count++;
+            return;
+        }
+        if (this.reported.has(fingerprint)) return;
+
+        this.queue.push({
+            fingerprint,
+            type,
+            message,
+            stack,
+            source: details.filename ? `${details.filename}:${details.lineno}:${details.colno}` : undefined,
+            count: 1,
+            timestamp: new Date().toISOString()
+        });
+
+        if (this.queue.length >= this.options.batchSize) {
+            this.flush();
+        } else if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), this.options.flushInterval);
+        }
+    }
+
+    // Hash of the message and the top stack frames
+    fingerprint(message, stack) {
+        const frames = stack.split('\n').slice(0, 5).join('\n');
+        const text = `${message}\n${frames}`;
+        let hash = 5381;
+        for (let i = 0; i < text.length; i++) {
+            hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+        }
+        return (hash >>> 0).toString(36);
+    }
+
+    // Removes email addresses, including whatever is typed into email fields even when
+    // it is not a valid address yet
+    redact(text) {
+        const typed = [...document.querySelectorAll('input[type="email"]')]
+            .map(field => field.value.trim())
+            .filter(value => value.length > 2);
+
+        let redacted = String(text).replace(/[^\s@<>()"',;:]+@[^\s@<>()"',;:]+\.[^\s@<>()"',;:]+/g, '[email]');
+        typed.forEach(value => {
+            redacted = redacted.split(value).join('[email]');
+        });
+        return redacted;
+    }
+
+    getContext() {
+        return { ...Utils.getPageContext(), userAgent: navigator.userAgent };
+    }
+
+    // Reports already sent in this session, across pages
+    getSessionCount() {
+        const stored = Utils.storage.get('error-reports-sent', 'session');
+        return stored === null ? this.reported.size : Number(stored) || 0;
+    }
+
+    // Without storage the count above falls back to this page's reports
+    setSessionCount(count) {
+        Utils.storage.set('error-reports-sent', String(count), 'session');
+    }
+
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        if (this.queue.length === 0) return;
+
+        const sent = this.getSessionCount();
+        const reports = this.queue.splice(0).slice(0, Math.max(0, this.options.maxPerSession - sent));
+        if (reports.length === 0) return;
+
+        reports.forEach(report => this.reported.add(report.fingerprint));
+        this.setSessionCount(sent + reports.length);
+        this.sendErrorToService(reports);
+    }
+
+    sendErrorToService(reports) {
+        Utils.sendBeacon(this.options.endpoint, { context: this.getContext(), reports });
+    }
+
+    destroy() {
+        this.listeners.abort();
+        this.flush();
+    }
+}
+
+// Contact Transport Classes
+// send() resolves to { confirmed } and rejects with a user-facing TransportError.
+// `confirmed` is only true when the receiving service acknowledged the message.
+
+// `retryable` marks failures worth sending again later (offline, timeout, 5xx).
+// `code` and `params` name the message's contact.error.* translation; the English
+// message is its fallback.
+class TransportError extends Error {
+    constructor(message, { retryable = false, code = null, params = {} } = {}) {
+        super(message);
+        this.name = 'TransportError';
+        this.retryable = retryable;
+        this.code = code;
+        this.params = params;
+    }
+}
+
+class ContactTransport {
+    constructor(options = {}) {
+        this.endpoint = options.endpoint || CONFIG.contact.endpoint;
+        this.recipient = options.recipient || CONFIG.contact.recipient;
+        this.timeout = options.timeout || CONFIG.contact.timeout;
+    }
+
+    static create(type, options = {}) {
+        const transports = {
+            json: JsonEndpointTransport,
+            formservice: FormServiceTransport,
+            mailto: MailtoTransport
+        };
+
+        const Transport = transports[type];
+        if (!Transport) {
+            throw new Error(`Unknown contact transport "${type}"`);
+        }
+        return new Transport(options);
+    }
+
+    static isRetryableStatus(status) {
+        return status === 429 || status >= 500;
+    }
+
+    async request(body, headers = {}) {
+        if (!this.endpoint) {
+            throw new TransportError('The contact form is not configured to send messages.', { code: 'notConfigured' });
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            return await fetch(this.endpoint, {
+                method: 'POST',
+                headers: { Accept: 'application/json', ...headers },
+                body,
+                signal: controller.signal
+            });
+        } catch (error) {
+            const timedOut = error.name === 'AbortError';
+            throw new TransportError(timedOut
+                ? 'The server took too long to respond.'
+                : 'Network error. Please check your connection.', { retryable: true, code: timedOut ? 'timeout' : 'network' });
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async send() {
+        throw new Error('send() must be implemented by a transport');
+    }
+}
+
+// POSTs the form fields as JSON to our own endpoint; any 2xx counts as delivered
+class JsonEndpointTransport extends ContactTransport {
+    async send(data) {
+        const response = await this.request(JSON.stringify(data), {
+            'Content-Type': 'application/json'
+        });
+
+        if (!response.ok) {
+            throw new TransportError(`The server could not accept the message (${response.status}).`, {
+                retryable: ContactTransport.isRetryableStatus(response.status),
+                code: 'server',
+                params: { status: response.status }
+            });
+        }
+        return { confirmed: true };
+    }
+}
+
+// Formspree-style services answer { ok: true } or { errors: [{ message }] }
+class FormServiceTransport extends ContactTransport {
+    async send(data) {
+        const body = new FormData();
+        Object.entries(data).forEach(([key, value]) => body.append(key, value));
+        if (data.email) body.append('_replyto', data.email);
+        if (data.subject) body.append('_subject', data.subject);
+
+        const response = await this.request(body);
+        const result = await response.json().catch(() => ({}));
+
+        if (!response.ok || result.ok === false) {
+            const reason = (result.errors || []).map(error => error.message).join(' ');
+            // The service's own reason is shown as it comes
+            throw new TransportError(reason || `The form service rejected the message (${response.status}).`, {
+                retryable: ContactTransport.isRetryableStatus(response.status),
+                code: reason ? null : 'service',
+                params: { status: response.status }
+            });
+        }
+        return { confirmed: true };
+    }
+}
+
+// Hands the message to the visitor's mail client; delivery can never be confirmed
+class MailtoTransport extends ContactTransport {
+    async send(data) {
+        const { subject = 'Website inquiry', message = '', ...fields } = data;
+        const details = Object.entries(fields)
+            .filter(([, value]) => value)
+            .map(([key, value]) => `${key}: ${value}`)
+            .join('\n');
+
+        window.location.href = `mailto:${this.recipient}` +
+            `?subject=${encodeURIComponent(subject)}` +
+            `&body=${encodeURIComponent(`${message}\n\n--\n${details}`)}`;
+
+        return { confirmed: false };
+    }
+}
+
+// Thrown when SpamGuard refuses a submission; the message is shown to the visitor
+class SpamBlockedError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'SpamBlockedError';
+        this.reason = reason;
+    }
+}
+
+// Challenge Provider Registry
+// A provider proves a person is submitting the form (e.g. a captcha service):
+// verify(form) resolves to a token sent along with the message, or null when the
+// visitor did not pass. 'local' is a stand-in for development that always passes.
+const ChallengeProviders = {
+    providers: {},
+
+    register(name, provider) {
+        this.providers[name] = provider;
+    },
+
+    get(name) {
+        const provider = this.providers[name];
+        if (!provider) {
+            throw new Error(`Unknown challenge provider "${name}"`);
+        }
+        return provider;
+    }
+};
+
+ChallengeProviders.register('local', {
+    async verify() {
+        return `local-${Date.now()}`;
+    }
+});
+
+// Contact Spam Protection
+// Runs before a message reaches its transport: honeypot, time-to-submit, a
+// per-browser rate limit kept in localStorage, then the optional challenge.
+class SpamGuard {
+    constructor(form, app, options = CONFIG.contact.spam) {
+        this.form = form;
+        this.app = app;
+        this.options = options;
+        this.startedAt = Date.now();
+    }
+
+    // Resolves to the fields to send (honeypot removed, challenge token added)
+    async check(data) {
+        const { honeypot, minSubmitTime, challenge } = this.options;
+        const { [honeypot]: trap, ...fields } = data;
+
+        if (trap) {
+            throw new SpamBlockedError('honeypot', this.app.translate('contact.spam.honeypot',
+                'Your message looks automated, so it was not sent. If this is a mistake, please email us at {email}.',
+                { email: CONFIG.contact.recipient }));
+        }
+
+        if (Date.now() - this.startedAt < minSubmitTime) {
+            throw new SpamBlockedError('too-fast', this.app.translate('contact.spam.tooFast',
+                'That was quick! Please take a moment to review your message, then send it again.'));
+        }
+
+        const retryIn = this.getRetryDelay();
+        if (retryIn > 0) {
+            const minutes = Math.ceil(retryIn / 60000);
+            throw new SpamBlockedError('rate-limit', this.app.translate('contact.spam.rateLimit',
+                'You have sent several messages recently. Please try again in {count} min.',
+                { count: minutes }));
+        }
+
+        if (challenge) {
+            const token = await ChallengeProviders.get(challenge).verify(this.form);
+            if (!token) {
+                throw new SpamBlockedError('challenge', this.app.translate('contact.spam.challenge',
+                    'Please complete the verification to send your message.'));
+            }
+            fields.challengeToken = token;
+        }
+
+        return fields;
+    }
+
+    // Time until the oldest submission in the window expires, or 0 if below the limit
+    getRetryDelay() {
+        const { max, window: period } = this.options.rateLimit;
+        const recent = this.getSubmissions().filter(time => Date.now() - time < period);
+
+        return recent.length < max ? 0 : recent[recent.length - max] + period - Date.now();
+    }
+
+    recordSubmission() {
+        const { window: period } = this.options.rateLimit;
+        const recent = this.getSubmissions().filter(time => Date.now() - time < period);
+
+        // Without storage the limit only lasts as long as the page
+        Utils.storage.setJSON(SpamGuard.STORAGE_KEY, [...recent, Date.now()]);
+        this.startedAt = Date.now();
+    }
+
+    getSubmissions() {
+        const stored = Utils.storage.getJSON(SpamGuard.STORAGE_KEY);
+        return Array.isArray(stored) ? stored : [];
+    }
+}
+
+SpamGuard.STORAGE_KEY = 'contact-submissions';
+
+// Submission Queue Class
+// Contact messages that failed for a retryable reason (offline, timeout, 5xx) wait in
+// localStorage and are sent again when the browser comes back online, from any page.
+// A small indicator shows how many are waiting; clicking it retries right away.
+class SubmissionQueue {
+    constructor(app) {
+        this.app = app;
+        this.notifications = app.getComponent('notifications');
+        this.languageSupport = app.components.languageSupport;
+        this.flushing = false;
+        this.indicator = null;
+        this.listeners = new AbortController();
+        this.init();
+    }
+
+    init() {
+        this.createIndicator();
+        this.updateIndicator();
+
+        window.addEventListener('online', () => this.flush(), { signal: this.listeners.signal });
+        if (navigator.onLine) {
+            this.flush();
+        }
+    }
+
+    getItems() {
+        const items = Utils.storage.getJSON(SubmissionQueue.STORAGE_KEY);
+        return Array.isArray(items) ? items : [];
+    }
+
+    setItems(items) {
+        const stored = items.length > 0
+            ? Utils.storage.setJSON(SubmissionQueue.STORAGE_KEY, items)
+            : Utils.storage.remove(SubmissionQueue.STORAGE_KEY);
+        if (!stored) console.warn('Could not store queued messages');
+        this.updateIndicator();
+    }
+
+    // item: { transport, endpoint, data, draftKey }
+    add(item) {
+        this.setItems([...this.getItems(), { ...item, id: `${Date.now()}-${Math.random().toString(36).slice(2)}`, queuedAt: Date.now() }]);
+    }
+
+    remove(id) {
+        this.setItems(this.getItems().filter(item => item.id !== id));
+    }
+
+    async flush() {
+        if (this.flushing || !navigator.onLine) return;
+        this.flushing = true;
+
+        try {
+            for (const item of this.getItems()) {
+                try {
+                    await ContactTransport.create(item.transport, { endpoint: item.endpoint }).send(item.data);
+                    this.remove(item.id);
+                    this.notifications.success(this.app.translate('outbox.sent',
+                        'Your saved message has been sent. We\'ll respond within 48 hours.'));
+                } catch (error) {
+                    // Still unreachable: keep everything for the next time we come online
+                    if (error.retryable) break;
+
+                    // Rejected for good: hand the text back as a draft instead of losing it
+                    this.remove(item.id);
+                    const reason = this.app.describeTransportError(error);
+                    if (item.draftKey) {
+                        FormDrafts.store(item.draftKey, item.data);
+                        this.notifications.error(this.app.translate('outbox.draft',
+                            '{reason} Your message was kept as a draft on the contact page.', { reason }));
+                    } else {
+                        this.notifications.error(this.app.translate('outbox.failed',
+                            '{reason} Please email us at {email}.', { reason, email: CONFIG.contact.recipient }));
+                    }
+                }
+            }
+        } finally {
+            this.flushing = false;
+        }
+    }
+
+    createIndicator() {
+        const indicator = document.createElement('button');
+        indicator.type = 'button';
+        indicator.className = 'outbox-status';
+        indicator.setAttribute('aria-live', 'polite');
+        indicator.innerHTML = '<span aria-hidden="true">⏳</span><span class="outbox-status-text" data-translate="outbox.pending" data-translate-title="outbox.retry"></span>';
+        indicator.querySelector('.outbox-status-text').title = this.app.translate('outbox.retry',
+            'Messages are sent automatically when you are back online. Click to retry now.');
+        indicator.style.cssText = `
+            position: fixed;
+            bottom: 20px;
+            left: 20px;
+            z-index: 10000;
+            display: none;
+            align-items: center;
+            gap: 0.5rem;
+            padding: 0.5rem 1rem;
+            background: var(--color-surface);
+            border: 1px solid var(--color-border);
+            border-radius: 20px;
+            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);
+            font-size: 0.85rem;
+            color: var(--color-text-secondary);
+            cursor: pointer;
+        `;
+
+        indicator.addEventListener('click', () => this.flush());
+
+        document.body.appendChild(indicator);
+        this.indicator = indicator;
+    }
+
+    updateIndicator() {
+        if (!this.indicator) return;
+
+        const count = this.getItems().length;
+        const text = this.indicator.querySelector('.outbox-status-text');
+        this.indicator.style.display = count > 0 ? 'flex' : 'none';
+        text.dataset.translateParams = JSON.stringify({ count });
+        text.textContent = this.app.translate('outbox.pending', 'Messages waiting to send: {count}', { count });
+    }
+
+    destroy() {
+        this.listeners.abort();
+        this.indicator.remove();
+    }
+}
+
+SubmissionQueue.STORAGE_KEY = 'contact-outbox';
+
+// Component Registry
+// Components declare a name, the components they depend on, an init(app) hook that
+// returns the live instance and an optional destroy(instance) hook. NeintosickApp
+// initializes them in dependency order, isolating each one's failures.
+const ComponentRegistry = {
+    definitions: new Map(),
+
+    register({ name, dependencies = [], init, destroy }) {
+        if (!name || typeof init !== 'function') {
+            throw new Error('A component needs a name and an init hook');
+        }
+        if (this.definitions.has(name)) {
+            throw new Error(`Component "${name}" is already registered`);
+        }
+
+        this.definitions.set(name, {
+            name,
+            dependencies,
+            init,
+            destroy: destroy || (instance => instance?.destroy?.())
+        });
+    },
+
+    get(name) {
+        return this.definitions.get(name);
+    },
+
+    names() {
+        return [...this.definitions.keys()];
+    },
+
+    // Orders the named components (and their dependencies) so that every component
+    // comes after what it depends on; registration order is kept otherwise
+    resolveOrder(names) {
+        const ordered = [];
+        const visited = new Set();
+        const visiting = new Set();
+
+        const visit = (name, chain) => {
+            if (visited.has(name)) return;
+            if (visiting.has(name)) {
+                console.error(`Circular component dependency: ${[...chain, name].join(' -> ')}`);
+                return;
+            }
+
+            const definition = this.definitions.get(name);
+            if (!definition) return;
+
+            visiting.add(name);
+            definition.dependencies.forEach(dependency => visit(dependency, [...chain, name]));
+            visiting.delete(name);
+            visited.add(name);
+            ordered.push(definition);
+        };
+
+        names.forEach(name => visit(name, []));
+        return ordered;
+    }
+};
+
+// Page Module Registry
+// Behaviour that only exists on one page lives in a page module class. Modules are
+// registered per page name and created by NeintosickApp.initializePageSpecific.
+const PageModules = {
+    modules: {},
+
+    register(page, PageModule) {
+        if (!this.modules[page]) {
+            this.modules[page] = [];
+        }
+        this.modules[page].push(PageModule);
+    },
+
+    get(page) {
+        return this.modules[page] || [];
+    }
+};
+
+// Contact Page Module
+class ContactPage {
+    constructor(app) {
+        this.app = app;
+        this.init();
+    }
+
+    init() {
+        const contactForm = document.querySelector('#contactForm');
+        if (contactForm) {
+            const spamGuard = new SpamGuard(contactForm, this.app);
+            contactForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.app.handleContactFormSubmission(contactForm, { spamGuard });
+            });
+        }
+    }
+}
+
+// Bandi Page Module
+class BandiPage {
+    constructor(app) {
+        this.app = app;
+        this.init();
+    }
+
+    init() {
+        this.setupWalkthrough();
+        this.setupPlayground();
+        this.setupHeroMockup();
+        this.setupParallax();
+
+        document.querySelectorAll('.feature-demo').forEach((card, index) => {
+            card.style.animationDelay = `${index * 0.1}s`;
+        });
+    }
+
+    setupHeroMockup() {
+        const phoneContainer = document.querySelector('.phone-container');
+        const phoneImage = document.querySelector('.phone-image');
+
+        setTimeout(() => {
+            document.querySelectorAll('.hero-text, .hero-mockup').forEach(element => {
+                element.classList.add('visible');
+            });
+        }, 500);
+
+        if (!phoneContainer || !phoneImage) return;
+
+        // The hero phone leads to the walkthrough; its 📷 link still goes to Instagram
+        const openWalkthrough = () => {
+            phoneImage.style.transform = 'scale(0.95)';
+
+            setTimeout(() => {
+                phoneImage.style.transform = 'scale(1)';
+                if (this.walkthrough) this.walkthrough.focus();
+            }, 150);
+        };
+
+        phoneContainer.addEventListener('click', (e) => {
+            if (e.target.closest('.instagram-link')) return;
+            openWalkthrough();
+        });
+
+        // The container is role="button", so it must answer Enter and Space too
+        phoneContainer.addEventListener('keydown', (e) => {
+            if (e.target !== phoneContainer) return;
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                openWalkthrough();
+            }
+        });
+    }
+
+    setupWalkthrough() {
+        const container = document.querySelector('[data-walkthrough]');
+        if (container) {
+            this.walkthrough = new BandiWalkthrough(container, this.app);
+        }
+    }
+
+    setupPlayground() {
+        const section = document.querySelector('[data-playground]');
+        if (section) {
+            this.playground = new JournalPlayground(section, this.app);
+        }
+    }
+
+    setupParallax() {
+        const heroSection = document.querySelector('.bandi-hero');
+        if (!heroSection) return;
+
+        window.addEventListener('scroll', Utils.throttle(() => {
+            const motion = this.app.components.motion;
+            heroSection.style.transform = motion && motion.reduced ? '' : `translateY(${window.pageYOffset * -0.5}px)`;
+        }, 16));
+    }
+}
+
+// Bandi Walkthrough Class
+// Turns the "App Features Demo" cards into tabs that drive a phone mockup through
+// scripted screens (data/walkthrough.json, matched by each card's
+// data-walkthrough-feature). Every screen has a caption and a hotspot that moves on
+// to the next screen. It plays by itself only while at least half of it is on screen,
+// motion isn't reduced and nobody is using it: keyboard focus stops it until Play is
+// pressed again, hovering holds it.
+class BandiWalkthrough {
+    constructor(container, app) {
+        this.container = container;
+        this.app = app;
+        this.languageSupport = app.components.languageSupport;
+        this.motion = app.components.motion;
+        this.features = [];
+        this.tabs = [];
+        this.feature = 0;
+        this.step = 0;
+        this.playing = !(this.motion && this.motion.reduced);
+        this.visible = false;
+        this.hovered = false;
+        this.timer = null;
+        this.listeners = new AbortController();
+        this.ready = this.init();
+    }
+
+    async init() {
+        let data;
+        try {
+            data = await BandiWalkthrough.load(this.container.dataset.walkthrough);
+        } catch (error) {
+            // The feature cards stay as they are
+            console.error('Failed to load the Bandi walkthrough:', error);
+            return;
+        }
+
+        document.querySelectorAll('[data-walkthrough-feature]').forEach(tab => {
+            const feature = data.features.find(item => item.id === tab.dataset.walkthroughFeature);
+            if (feature && feature.screens.length > 0) {
+                this.features.push(feature);
+                this.tabs.push(tab);
+            }
+        });
+        if (this.features.length === 0) return;
+
+        this.build();
+        this.setupTabs();
+        this.bindEvents();
+        this.observe();
+        this.render();
+        this.schedule();
+    }
+
+    static async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} for ${url}`);
+        }
+        return response.json();
+    }
+
+    build() {
+        this.container.setAttribute('role', 'group');
+        this.container.setAttribute('aria-label', 'Bandi app walkthrough');
+        this.container.setAttribute('data-translate-aria-label', 'bandi.walkthrough.label');
+        this.container.innerHTML = `
+            <div class="phone-mockup walkthrough-phone">
+                <div class="phone-screen walkthrough-screen" id="walkthrough-screen" role="tabpanel">
+                    <div class="walkthrough-appbar">
+                        <span class="walkthrough-app">Bandi</span>
+                        <strong class="walkthrough-title"></strong>
+                    </div>
+                    <div class="walkthrough-body"></div>
+                </div>
+            </div>
+            <p class="walkthrough-caption"></p>
+            <div class="walkthrough-controls">
+                <button type="button" class="walkthrough-prev" aria-label="Previous step" data-translate-aria-label="bandi.walkthrough.previous">‹</button>
+                <span class="walkthrough-step" data-translate="bandi.walkthrough.step"></span>
+                <button type="button" class="walkthrough-play"></button>
+                <button type="button" class="walkthrough-next" aria-label="Next step" data-translate-aria-label="bandi.walkthrough.next">›</button>
+            </div>
+        `;
+
+        this.screen = this.container.querySelector('.walkthrough-screen');
+        this.caption = this.container.querySelector('.walkthrough-caption');
+        this.playButton = this.container.querySelector('.walkthrough-play');
+    }
+
+    setupTabs() {
+        const tablist = this.tabs[0].parentElement;
+        tablist.setAttribute('role', 'tablist');
+        tablist.setAttribute('aria-label', 'Bandi app walkthrough');
+        tablist.setAttribute('data-translate-aria-label', 'bandi.walkthrough.label');
+
+        this.tabs.forEach((tab, index) => {
+            tab.id = tab.id || `walkthrough-tab-${this.features[index].id}`;
+            tab.setAttribute('role', 'tab');
+            tab.setAttribute('aria-controls', this.screen.id);
+        });
+        this.tablist = tablist;
+    }
+
+    bindEvents() {
+        const { signal } = this.listeners;
+
+        this.tabs.forEach((tab, index) => {
+            tab.addEventListener('click', () => this.select(index), { signal });
+        });
+
+        this.tablist.addEventListener('keydown', (e) => {
+            const index = this.tabs.indexOf(e.target);
+            if (index === -1) return;
+
+            const last = this.tabs.length - 1;
+            const moves = {
+                ArrowRight: index === last ? 0 : index + 1,
+                ArrowDown: index === last ? 0 : index + 1,
+                ArrowLeft: index === 0 ? last : index - 1,
+                ArrowUp: index === 0 ? last : index - 1,
+                Home: 0,
+                End: last
+            };
+
+            if (e.key in moves) {
+                e.preventDefault();
+                this.select(moves[e.key]);
+                this.tabs[moves[e.key]].focus();
+            } else if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.select(index);
+            }
+        }, { signal });
+
+        this.container.querySelector('.walkthrough-prev').addEventListener('click', () => this.go(-1), { signal });
+        this.container.querySelector('.walkthrough-next').addEventListener('click', () => this.go(1), { signal });
+        this.playButton.addEventListener('click', () => this.setPlaying(!this.playing), { signal });
+
+        // Hotspots are rendered with each screen
+        this.screen.addEventListener('click', (e) => {
+            if (e.target.closest('.walkthrough-hotspot')) this.go(1, { focusHotspot: true });
+        }, { signal });
+
+        // Someone using it with the keyboard takes over until they press Play
+        [this.container, this.tablist].forEach(region => {
+            region.addEventListener('focusin', (e) => {
+                if (e.target !== this.playButton) this.setPlaying(false);
+            }, { signal });
+            region.addEventListener('mouseenter', () => this.hold(true), { signal });
+            region.addEventListener('mouseleave', () => this.hold(false), { signal });
+        });
+
+        document.addEventListener('visibilitychange', () => this.schedule(), { signal });
+        document.addEventListener('languagechange', () => this.render(), { signal });
+        document.addEventListener('motionchange', (e) => {
+            if (e.detail.reduced) this.setPlaying(false);
+        }, { signal });
+    }
+
+    // Without IntersectionObserver it never plays by itself
+    observe() {
+        if (!('IntersectionObserver' in window)) return;
+
+        this.observer = new IntersectionObserver((entries) => {
+            this.visible = entries[entries.length - 1].isIntersecting;
+            this.schedule();
+        }, { threshold: 0.5 });
+        this.observer.observe(this.container);
+    }
+
+    select(index) {
+        this.feature = index;
+        this.step = 0;
+        this.render();
+        this.schedule();
+    }
+
+    // Next or previous screen, running on into the neighbouring feature
+    go(direction, { focusHotspot = false } = {}) {
+        const screens = this.features[this.feature].screens;
+        const step = this.step + direction;
+
+        if (step >= 0 && step < screens.length) {
+            this.step = step;
+        } else {
+            this.feature = (this.feature + direction + this.features.length) % this.features.length;
+            this.step = direction > 0 ? 0 : this.features[this.feature].screens.length - 1;
+        }
+
+        this.render();
+        this.schedule();
+
+        // Keep keyboard users on the hotspot they are stepping through
+        if (focusHotspot) {
+            const hotspot = this.screen.querySelector('.walkthrough-hotspot');
+            if (hotspot) hotspot.focus();
+        }
+    }
+
+    setPlaying(playing) {
+        this.playing = playing;
+        this.renderPlayButton();
+        this.schedule();
+    }
+
+    hold(hovered) {
+        this.hovered = hovered;
+        this.schedule();
+    }
+
+    isAutoplaying() {
+        return this.playing && this.visible && !this.hovered && !document.hidden;
+    }
+
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        // Captions are only announced while the user is driving
+        this.caption.setAttribute('aria-live', this.isAutoplaying() ? 'off' : 'polite');
+        if (!this.isAutoplaying()) return;
+
+        this.timer = setTimeout(() => this.go(1), BandiWalkthrough.STEP_DURATION);
+    }
+
+    render() {
+        const feature = this.features[this.feature];
+        const screen = feature.screens[this.step];
+
+        this.tabs.forEach((tab, index) => {
+            const selected = index === this.feature;
+            tab.setAttribute('aria-selected', String(selected));
+            tab.tabIndex = selected ? 0 : -1;
+            tab.classList.toggle('active', selected);
+        });
+        this.screen.setAttribute('aria-labelledby', this.tabs[this.feature].id);
+
+        this.screen.querySelector('.walkthrough-title').textContent = this.app.localize(screen.title);
+        const body = this.screen.querySelector('.walkthrough-body');
+        body.replaceChildren(...screen.blocks.map(block => this.renderBlock(block)));
+
+        if (screen.hotspot && body.children[screen.hotspot.block]) {
+            const hotspot = document.createElement('button');
+            hotspot.type = 'button';
+            hotspot.className = 'walkthrough-hotspot';
+            hotspot.setAttribute('aria-label', this.app.localize(screen.hotspot.label));
+            hotspot.title = this.app.localize(screen.hotspot.label);
+            body.children[screen.hotspot.block].appendChild(hotspot);
+        }
+
+        // Restart the entrance animation
+        body.classList.remove('is-entering');
+        void body.offsetWidth;
+        body.classList.add('is-entering');
+
+        this.caption.textContent = this.app.localize(screen.caption);
+
+        const step = this.container.querySelector('.walkthrough-step');
+        const params = { current: this.step + 1, total: feature.screens.length };
+        step.dataset.translateParams = JSON.stringify(params);
+        step.textContent = `Step ${params.current} of ${params.total}`;
+
+        this.renderPlayButton();
+        if (this.languageSupport) {
+            this.languageSupport.applyTranslations(this.container);
+        }
+    }
+
+    renderBlock(block) {
+        const element = document.createElement('div');
+        element.className = `walkthrough-block walkthrough-${block.type}`;
+
+        if (block.type === 'chips') {
+            block.items.forEach(item => {
+                const chip = document.createElement('span');
+                chip.className = 'walkthrough-chip';
+                chip.textContent = this.app.localize(item);
+                element.appendChild(chip);
+            });
+        } else if (block.type === 'bars') {
+            block.items.forEach(item => {
+                const bar = document.createElement('span');
+                bar.className = 'walkthrough-bar';
+                bar.style.setProperty('--value', `${item.value}%`);
+                bar.dataset.label = this.app.localize(item.label);
+                element.appendChild(bar);
+            });
+        } else if (block.type === 'progress') {
+            element.textContent = this.app.localize(block.label);
+            const track = document.createElement('span');
+            track.className = 'walkthrough-track';
+            track.style.setProperty('--value', `${block.value}%`);
+            element.appendChild(track);
+        } else if (block.type === 'bubble') {
+            element.classList.add(`from-${block.from || 'bandi'}`);
+            element.textContent = this.app.localize(block.text);
+        } else {
+            element.textContent = this.app.localize(block.text);
+        }
+
+        return element;
+    }
+
+    renderPlayButton() {
+        const key = this.playing ? 'pause' : 'play';
+        this.playButton.textContent = this.playing ? '⏸' : '▶';
+        this.playButton.setAttribute('data-translate-aria-label', `bandi.walkthrough.${key}`);
+        this.playButton.setAttribute('aria-label', this.playing ? 'Pause walkthrough' : 'Play walkthrough');
+        if (this.languageSupport) {
+            this.languageSupport.applyTranslations(this.playButton.parentElement);
+        }
+    }
+
+    // Bring the walkthrough into view and hand keyboard focus to the selected tab
+    focus() {
+        if (this.features.length === 0) return;
+
+        const smoothScrolling = this.app.components.smoothScrolling;
+        if (smoothScrolling) {
+            smoothScrolling.scrollToElement(`#${this.container.id}`);
+        } else {
+            this.container.scrollIntoView();
+        }
+        this.tabs[this.feature].focus({ preventScroll: true });
+    }
+
+    destroy() {
+        clearTimeout(this.timer);
+        this.listeners.abort();
+        if (this.observer) this.observer.disconnect();
+    }
+}
+
+BandiWalkthrough.STEP_DURATION = 4000;
+
+// Emotion Classifier Class
+// A small lexicon classifier for Korean and English journal text, run entirely in
+// the browser. The lexicon (data/emotion-lexicon.json) lists words per emotion:
+// English entries are whole words, or prefixes when they end in "*"; Korean entries
+// are stems found anywhere in a word, so particles and endings don't matter.
+// Negated words ("not happy", "안 좋아", "행복하지 않다", "걱정 없다") are skipped.
+class EmotionClassifier {
+    constructor(lexicon) {
+        this.emotions = lexicon.emotions;
+        this.negations = lexicon.negations || { en: [], ko: [] };
+    }
+
+    // { emotions: [{ id, count, words }] strongest first, mood: -2 (low) to 2 (high) }
+    classify(text) {
+        const found = {};
+        const add = (id, word) => {
+            found[id] = found[id] || { id, count: 0, words: [] };
+            found[id].count += 1;
+            if (!found[id].words.includes(word)) found[id].words.push(word);
+        };
+
+        const lower = text.toLowerCase();
+        this.matchEnglish(lower, add);
+        this.matchKorean(lower, add);
+
+        const emotions = Object.values(found).sort((a, b) => b.count - a.count);
+        const total = emotions.reduce((sum, emotion) => sum + emotion.count, 0);
+        const mood = total === 0 ? 0 : emotions.reduce((sum, emotion) => sum + this.emotions[emotion.id].valence * emotion.count, 0) / total;
+
+        return { emotions, mood: Math.round(mood * 10) / 10 };
+    }
+
+    // Clause by clause, so a negation never reaches past a comma or full stop
+    matchEnglish(text, add) {
+        text.split(/[.,;:!?\n]+/).forEach(clause => {
+            const tokens = clause.match(/[a-z]+(?:'[a-z]+)?/g) || [];
+
+            tokens.forEach((token, index) => {
+                const id = Object.keys(this.emotions).find(emotionId =>
+                    this.emotions[emotionId].en.some(word => (word.endsWith('*') ? token.startsWith(word.slice(0, -1)) : token === word)));
+                if (!id) return;
+
+                // "not really happy", "don't feel sad"
+                const before = tokens.slice(Math.max(0, index - EmotionClassifier.NEGATION_WINDOW), index);
+                if (before.some(word => this.negations.en.includes(word) || word.endsWith("n't"))) return;
+
+                add(id, token);
+            });
+        });
+    }
+
+    matchKorean(text, add) {
+        Object.entries(this.emotions).forEach(([id, emotion]) => {
+            emotion.ko.forEach(stem => {
+                for (let index = text.indexOf(stem); index !== -1; index = text.indexOf(stem, index + stem.length)) {
+                    const prefix = text.slice(0, index);
+                    const atWordStart = prefix === '' || /\s$/.test(prefix);
+                    const previousWord = prefix.trimEnd().split(/\s+/).pop();
+                    const after = text.slice(index + stem.length, index + stem.length + 12);
+                    if ((atWordStart && this.negations.ko.includes(previousWord)) || EmotionClassifier.KO_NEGATED_AFTER.test(after)) continue;
+
+                    // The whole word the stem sits in, e.g. 행복했다
+                    const start = text.lastIndexOf(' ', index) + 1;
+                    const end = text.slice(index).search(/[\s.,!?]/);
+                    add(id, text.slice(start, end === -1 ? text.length : index + end));
+                }
+            });
+        });
+    }
+}
+
+EmotionClassifier.NEGATION_WINDOW = 3;
+// "행복하지 않았다", "걱정이 없다"
+EmotionClassifier.KO_NEGATED_AFTER = /^[가-힣]*지\s?(않|못)|^[가-힣]{0,2}\s?없/;
+
+// Journal Playground Class
+// The "Try the Emotion Journal" demo on bandi.html: a visitor writes an entry, the
+// EmotionClassifier labels it and the entry joins a mood chart. Entries live only in
+// this browser (localStorage, JournalPlayground.STORAGE_KEY) and one button deletes
+// them all. Nothing is sent anywhere. The section stays hidden if the lexicon
+// can't be loaded.
+class JournalPlayground {
+    constructor(section, app) {
+        this.section = section;
+        this.app = app;
+        this.languageSupport = app.components.languageSupport;
+        this.form = section.querySelector('.playground-form');
+        this.field = this.form.querySelector('textarea');
+        this.result = section.querySelector('.playground-result');
+        this.deleteButton = section.querySelector('.playground-delete');
+        this.classifier = null;
+        this.entries = [];
+        this.lastResult = null;
+        this.listeners = new AbortController();
+        this.ready = this.init();
+    }
+
+    async init() {
+        try {
+            const response = await fetch(this.section.dataset.playground);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.classifier = new EmotionClassifier(await response.json());
+        } catch (error) {
+            console.error('Failed to load the emotion lexicon:', error);
+            return;
+        }
+
+        this.entries = this.load();
+        this.bindEvents();
+        this.render();
+        this.section.hidden = false;
+    }
+
+    bindEvents() {
+        const { signal } = this.listeners;
+
+        // FormValidator runs first and stops empty entries
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addEntry(this.field.value.trim());
+        }, { signal });
+
+        this.deleteButton.addEventListener('click', () => this.clear(), { signal });
+
+        document.addEventListener('languagechange', () => this.render(), { signal });
+    }
+
+    addEntry(text) {
+        if (!text) return;
+
+        const { emotions, mood } = this.classifier.classify(text);
+        const entry = {
+            id: Date.now().toString(36),
+            date: new Date().toISOString(),
+            text,
+            emotions: emotions.slice(0, JournalPlayground.MAX_LABELS).map(emotion => emotion.id),
+            mood
+        };
+
+        this.entries = [...this.entries, entry].slice(-JournalPlayground.MAX_ENTRIES);
+        this.lastResult = emotions;
+        this.save();
+        this.field.value = '';
+        this.render();
+    }
+
+    clear() {
+        this.entries = [];
+        this.lastResult = null;
+        Utils.storage.remove(JournalPlayground.STORAGE_KEY);
+        this.render();
+        this.result.textContent = this.app.translate('bandi.playground.deleted', 'Your demo entries have been deleted.');
+    }
+
+    load() {
+        const entries = Utils.storage.getJSON(JournalPlayground.STORAGE_KEY);
+        return Array.isArray(entries) ? entries : [];
+    }
+
+    // Without storage the entries simply won't survive the visit
+    save() {
+        Utils.storage.setJSON(JournalPlayground.STORAGE_KEY, this.entries);
+    }
+
+    render() {
+        this.renderResult();
+        this.renderChart();
+        this.renderEntries();
+
+        const count = this.entries.length;
+        const average = count === 0 ? 0 : this.entries.reduce((sum, entry) => sum + entry.mood, 0) / count;
+        this.section.querySelector('.playground-summary').textContent = count === 0
+            ? this.app.translate('bandi.playground.empty', 'Your demo entries and their mood will appear here.')
+            : this.app.translate('bandi.playground.summary', '{count} demo entries, mostly {mood}', { count, mood: this.getMoodLabel(average) });
+        this.deleteButton.hidden = count === 0;
+    }
+
+    renderResult() {
+        if (!this.lastResult) {
+            this.result.textContent = '';
+            return;
+        }
+
+        if (this.lastResult.length === 0) {
+            this.result.textContent = this.app.translate('bandi.playground.none', 'No emotion words found. Try describing how you felt.');
+            return;
+        }
+
+        const list = document.createElement('ul');
+        list.className = 'playground-emotions';
+        this.lastResult.slice(0, JournalPlayground.MAX_LABELS).forEach(emotion => {
+            const item = document.createElement('li');
+            item.className = 'playground-emotion';
+            item.textContent = `${this.getEmotionLabel(emotion.id)} (${emotion.words.join(', ')})`;
+            list.appendChild(item);
+        });
+
+        this.result.textContent = this.app.translate('bandi.playground.result', 'Detected emotions:');
+        this.result.appendChild(list);
+    }
+
+    // Mood of the latest entries as a line from 😢 (-2) to 😊 (2); decorative, since
+    // the summary and the list below carry the same information
+    renderChart() {
+        const chart = this.section.querySelector('.playground-chart');
+        const entries = this.entries.slice(-JournalPlayground.CHART_ENTRIES);
+        if (entries.length === 0) {
+            chart.innerHTML = '';
+            return;
+        }
+
+        const width = 300;
+        const height = 120;
+        const padding = 16;
+        const x = index => (entries.length === 1 ? width / 2 : padding * 2 + index * (width - padding * 3) / (entries.length - 1));
+        const y = mood => padding + (2 - mood) / 4 * (height - padding * 2);
+        const points = entries.map((entry, index) => `${x(index).toFixed(1)},${y(entry.mood).toFixed(1)}`);
+
+        chart.innerHTML = `
+            <svg viewBox="0 0 ${width} ${height}" aria-hidden="true" focusable="false">
+                <text class="chart-label" x="0" y="${y(2) + 3}">😊</text>
+                <text class="chart-label" x="0" y="${y(-2) + 3}">😢</text>
+                <line class="chart-baseline" x1="${padding * 2}" x2="${width - padding}" y1="${y(0)}" y2="${y(0)}"></line>
+                <polyline class="chart-line" points="${points.join(' ')}"></polyline>
+                ${points.map(point => {
+                    const [cx, cy] = point.split(',');
+                    return `<circle class="chart-point" cx="${cx}" cy="${cy}" r="4"></circle>`;
+                }).join('')}
+            </svg>
+        `;
+    }
+
+    renderEntries() {
+        const list = this.section.querySelector('.playground-entries');
+        const format = new Intl.DateTimeFormat(this.app.getLanguage(), { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+        list.replaceChildren(...this.entries.slice().reverse().map(entry => {
+            const item = document.createElement('li');
+            item.className = 'playground-entry';
+
+            const time = document.createElement('time');
+            time.dateTime = entry.date;
+            time.textContent = format.format(new Date(entry.date));
+
+            const emotions = document.createElement('span');
+            emotions.textContent = entry.emotions.length > 0
+                ? entry.emotions.map(id => this.getEmotionLabel(id)).join(' · ')
+                : this.app.translate('bandi.playground.noEmotion', 'No emotion detected');
+
+            const text = document.createElement('span');
+            text.className = 'playground-entry-text';
+            text.textContent = entry.text;
+
+            item.append(time, emotions, text);
+            return item;
+        }));
+    }
+
+    getEmotionLabel(id) {
+        const emotion = this.classifier.emotions[id];
+        if (!emotion) return id;
+        return `${emotion.emoji} ${this.app.localize(emotion.label)}`;
+    }
+
+    getMoodLabel(mood) {
+        if (mood > JournalPlayground.MOOD_THRESHOLD) return this.app.translate('bandi.playground.mood.positive', 'positive');
+        if (mood < -JournalPlayground.MOOD_THRESHOLD) return this.app.translate('bandi.playground.mood.negative', 'low');
+        return this.app.translate('bandi.playground.mood.neutral', 'neutral');
+    }
+
+    destroy() {
+        this.listeners.abort();
+    }
+}
+
+JournalPlayground.STORAGE_KEY = 'bandi-demo-journal';
+JournalPlayground.MAX_ENTRIES = 30;
+JournalPlayground.CHART_ENTRIES = 14;
+JournalPlayground.MAX_LABELS = 3;
+// Average mood beyond ±this reads as positive or low
+JournalPlayground.MOOD_THRESHOLD = 0.3;
+
+// Journey Timeline Class
+// Renders the team's milestones from a JSON dataset (data/milestones.json) as year
+// sections of journey cards, in the order the dataset lists them. Text fields are
+// { en, ko } objects and `category` is one of JourneyTimeline.CATEGORIES, which
+// picks the card's colour - adding a milestone means adding an entry to the data.
+class JourneyTimeline {
+    constructor(container, app) {
+        this.container = container;
+        this.app = app;
+        this.data = null;
+        this.listeners = new AbortController();
+        this.ready = this.init();
+    }
+
+    async init() {
+        try {
+            this.data = await JourneyTimeline.load(this.container.dataset.timeline);
+        } catch (error) {
+            console.error('Failed to load journey milestones:', error);
+            this.renderUnavailable();
+            return;
+        }
+
+        this.render();
+        document.addEventListener('languagechange', () => this.render(), { signal: this.listeners.signal });
+    }
+
+    static async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} for ${url}`);
+        }
+
+        const data = await response.json();
+        data.tags = data.tags || {};
+        data.milestones.forEach(milestone => {
+            if (!JourneyTimeline.CATEGORIES.includes(milestone.category)) {
+                console.warn(`Milestone "${milestone.id}" has unknown category "${milestone.category}"`);
+                milestone.category = 'milestone';
+            }
+            milestone.tags = milestone.tags || [];
+        });
+        return data;
+    }
+
+    // "2024-04" → "Apr" / "4월"; an endDate makes it a range; dateLabel overrides both
+    formatDate(milestone, language = this.app.getLanguage()) {
+        if (milestone.dateLabel) return this.app.localize(milestone.dateLabel, language);
+
+        const month = date => {
+            const [year, monthNumber] = date.split('-').map(Number);
+            if (!monthNumber) return String(year);
+            return new Intl.DateTimeFormat(language, { month: 'short', timeZone: 'UTC' })
+                .format(new Date(Date.UTC(year, monthNumber - 1)));
+        };
+
+        return milestone.endDate ? `${month(milestone.date)} - ${month(milestone.endDate)}` : month(milestone.date);
+    }
+
+    getTagLabel(tag, language = this.app.getLanguage()) {
+        return this.app.localize(this.data.tags[tag], language) || tag;
+    }
+
+    // Milestones grouped by the year they start in, keeping dataset order
+    groupByYear(milestones) {
+        const years = new Map();
+        milestones.forEach(milestone => {
+            const year = milestone.date.slice(0, 4);
+            if (!years.has(year)) years.set(year, []);
+            years.get(year).push(milestone);
+        });
+        return years;
+    }
+
+    render() {
+        const sections = [];
+        this.groupByYear(this.data.milestones).forEach((milestones, year) => {
+            const section = document.createElement('div');
+            section.className = 'year-section';
+            section.dataset.year = year;
+            section.innerHTML = `
+                <h3 class="year-title">${year}</h3>
+                <div class="cards-row"></div>
+            `;
+            const row = section.querySelector('.cards-row');
+            milestones.forEach(milestone => row.appendChild(this.createCard(milestone)));
+            sections.push(section);
+        });
+
+        this.container.replaceChildren(...sections);
+
+        // Cards scroll in on first render only, not again on every language change
+        const scrollAnimations = this.app.components.scrollAnimations;
+        if (scrollAnimations && !this.rendered) {
+            this.container.querySelectorAll('.journey-card').forEach(card => scrollAnimations.observe(card));
+        }
+        this.rendered = true;
+        this.container.dispatchEvent(new CustomEvent('timelinerender', { bubbles: true }));
+    }
+
+    getMilestone(id) {
+        return this.data.milestones.find(milestone => milestone.id === id);
+    }
+
+    // Tags to filter a milestone by: its own plus its category, when that is a tag
+    getFacets(milestone) {
+        const facets = new Set(milestone.tags);
+        if (Object.hasOwn(this.data.tags, milestone.category)) facets.add(milestone.category);
+        return Array.from(facets);
+    }
+
+    // Everything a visitor might search for, in every language
+    getSearchText(milestone) {
+        const fields = [milestone.title, milestone.description, milestone.dateLabel, ...this.getFacets(milestone).map(tag => this.data.tags[tag])];
+        return fields
+            .filter(Boolean)
+            .flatMap(field => (typeof field === 'string' ? [field] : Object.values(field)))
+            .join(' ')
+            .toLowerCase();
+    }
+
+    // Every year a milestone falls in, first to last
+    getYears() {
+        const years = this.data.milestones.flatMap(milestone => [milestone.date, milestone.endDate || milestone.date].map(date => Number(date.slice(0, 4))));
+        return Array.from(new Set(years)).sort((a, b) => a - b);
+    }
+
+    createCard(milestone) {
+        const language = this.app.getLanguage();
+        const card = document.createElement('div');
+        card.className = milestone.category === 'milestone' ? 'journey-card fade-in-up' : `journey-card fade-in-up ${milestone.category}`;
+        card.dataset.milestone = milestone.id;
+        card.dataset.category = milestone.category;
+        card.dataset.date = milestone.date;
+        card.dataset.tags = milestone.tags.join(' ');
+
+        card.innerHTML = `
+            <div class="card-photo">
+                <img>
+                <div class="photo-placeholder">${Utils.sanitizeHTML(milestone.icon || '📋')}</div>
+            </div>
+            <div class="card-content">
+                <div class="card-date">${Utils.sanitizeHTML(this.formatDate(milestone, language))}</div>
+                <h4 class="card-title">${Utils.sanitizeHTML(this.app.localize(milestone.title, language))}</h4>
+                <p class="card-description">${Utils.sanitizeHTML(this.app.localize(milestone.description, language))}</p>
+                <div class="card-tags">
+                    ${milestone.tags.map(tag => `<span class="card-tag" data-tag="${Utils.sanitizeHTML(tag)}">${Utils.sanitizeHTML(this.getTagLabel(tag, language))}</span>`).join('')}
+                </div>
+            </div>
+        `;
+
+        const img = card.querySelector('img');
+        img.alt = this.app.localize(milestone.alt || milestone.title, language);
+        img.dataset.src = milestone.image;
+
+        const responsiveImages = this.app.components.responsiveImages;
+        if (responsiveImages) {
+            responsiveImages.observe(img);
+        } else {
+            img.addEventListener('load', () => img.classList.add('loaded'));
+            img.addEventListener('error', () => {
+                img.style.display = 'none';
+            });
+            img.src = milestone.image;
+        }
+
+        return card;
+    }
+
+    renderUnavailable() {
+        this.container.innerHTML = `
+            <p class="journey-unavailable" data-translate="team.journey.unavailable">Our milestones could not be loaded. Please refresh the page to try again.</p>
+        `;
+        const languageSupport = this.app.components.languageSupport;
+        if (languageSupport) languageSupport.applyTranslations(this.container);
+    }
+
+    destroy() {
+        this.listeners.abort();
+    }
+}
+
+// Card variants; 'milestone' is the plain card, the rest add a class of that name
+JourneyTimeline.CATEGORIES = ['milestone', 'launch', 'award', 'global'];
+
+// Timeline Filters Class
+// Narrows the journey timeline by tag chips (any selected tag matches; a card's
+// launch/award/global category counts as its tag too), free text in either
+// language and a year range. The state lives in the query string
+// (?tags=award,launch&q=&from=2024&to=2025) so a filtered view can be shared.
+class TimelineFilters {
+    constructor(form, timeline, app) {
+        this.form = form;
+        this.timeline = timeline;
+        this.app = app;
+        this.search = form.querySelector('.timeline-search');
+        this.yearFrom = form.querySelector('[data-range="from"]');
+        this.yearTo = form.querySelector('[data-range="to"]');
+        this.chips = form.querySelector('.timeline-tags');
+        this.results = form.querySelector('.timeline-results-text');
+        this.clearButton = form.querySelector('.timeline-clear');
+        this.listeners = new AbortController();
+        this.init();
+    }
+
+    init() {
+        this.years = this.timeline.getYears();
+        this.state = this.readState(new URLSearchParams(window.location.search));
+
+        this.renderYearOptions();
+        this.renderChips();
+        this.syncControls();
+        this.bindEvents();
+        this.form.hidden = false;
+        this.apply({ animate: false });
+    }
+
+    readState(params) {
+        const tags = (params.get(TimelineFilters.PARAMS.tags) || '').split(',').filter(tag => Object.hasOwn(this.timeline.data.tags, tag));
+        const year = name => {
+            const value = Number(params.get(TimelineFilters.PARAMS[name]));
+            return this.years.includes(value) ? value : null;
+        };
+
+        return {
+            tags: new Set(tags),
+            query: (params.get(TimelineFilters.PARAMS.query) || '').trim(),
+            from: year('from'),
+            to: year('to')
+        };
+    }
+
+    // Write the state to the query string, leaving other parameters (e.g. ?lang=) alone
+    writeState() {
+        const url = new URL(window.location.href);
+        const values = {
+            tags: Array.from(this.state.tags).join(','),
+            query: this.state.query,
+            from: this.state.from,
+            to: this.state.to
+        };
+
+        Object.entries(TimelineFilters.PARAMS).forEach(([name, param]) => {
+            if (values[name]) {
+                url.searchParams.set(param, values[name]);
+            } else {
+                url.searchParams.delete(param);
+            }
+        });
+        history.replaceState(history.state, '', url);
+    }
+
+    renderYearOptions() {
+        [this.yearFrom, this.yearTo].forEach(select => {
+            select.innerHTML = this.years.map(year => `<option value="${year}">${year}</option>`).join('');
+        });
+    }
+
+    // One chip per tag in use, in dataset order, labelled in the current language
+    renderChips() {
+        const counts = {};
+        this.timeline.data.milestones.forEach(milestone => {
+            this.timeline.getFacets(milestone).forEach(tag => {
+                counts[tag] = (counts[tag] || 0) + 1;
+            });
+        });
+
+        this.chips.innerHTML = Object.keys(this.timeline.data.tags)
+            .filter(tag => counts[tag])
+            .map(tag => `
+                <button type="button" class="timeline-chip" data-tag="${Utils.sanitizeHTML(tag)}" aria-pressed="${this.state.tags.has(tag)}">
+                    ${Utils.sanitizeHTML(this.timeline.getTagLabel(tag))}
+                    <span class="timeline-chip-count" aria-hidden="true">${counts[tag]}</span>
+                </button>
+            `)
+            .join('');
+    }
+
+    syncControls() {
+        this.search.value = this.state.query;
+        this.yearFrom.value = String(this.state.from || this.years[0]);
+        this.yearTo.value = String(this.state.to || this.years[this.years.length - 1]);
+        this.chips.querySelectorAll('.timeline-chip').forEach(chip => {
+            chip.setAttribute('aria-pressed', String(this.state.tags.has(chip.dataset.tag)));
+        });
+    }
+
+    bindEvents() {
+        const { signal } = this.listeners;
+
+        this.chips.addEventListener('click', (e) => {
+            const chip = e.target.closest('.timeline-chip');
+            if (!chip) return;
+
+            const tag = chip.dataset.tag;
+            if (this.state.tags.has(tag)) {
+                this.state.tags.delete(tag);
+            } else {
+                this.state.tags.add(tag);
+            }
+            this.update();
+        }, { signal });
+
+        this.search.addEventListener('input', Utils.debounce(() => {
+            this.state.query = this.search.value.trim();
+            this.update();
+        }, 200), { signal });
+
+        this.form.addEventListener('change', (e) => {
+            if (!e.target.dataset.range) return;
+
+            let from = Number(this.yearFrom.value);
+            let to = Number(this.yearTo.value);
+            // Keep the range the right way round
+            if (from > to) {
+                if (e.target === this.yearFrom) to = from;
+                else from = to;
+            }
+            this.state.from = from === this.years[0] ? null : from;
+            this.state.to = to === this.years[this.years.length - 1] ? null : to;
+            this.update();
+        }, { signal });
+
+        this.form.addEventListener('submit', (e) => e.preventDefault(), { signal });
+
+        this.clearButton.addEventListener('click', () => {
+            this.state = { tags: new Set(), query: '', from: null, to: null };
+            this.update();
+            this.search.focus();
+        }, { signal });
+
+        // The timeline rebuilds its cards on language change
+        this.timeline.container.addEventListener('timelinerender', () => {
+            this.renderChips();
+            this.apply({ animate: false });
+        }, { signal });
+    }
+
+    update() {
+        this.syncControls();
+        this.writeState();
+        this.apply();
+    }
+
+    matches(milestone) {
+        const { tags, query, from, to } = this.state;
+
+        if (tags.size > 0 && !this.timeline.getFacets(milestone).some(tag => tags.has(tag))) return false;
+
+        const start = Number(milestone.date.slice(0, 4));
+        const end = Number((milestone.endDate || milestone.date).slice(0, 4));
+        if ((from && end < from) || (to && start > to)) return false;
+
+        if (query) {
+            const text = this.timeline.getSearchText(milestone);
+            return query.toLowerCase().split(/\s+/).every(word => text.includes(word));
+        }
+        return true;
+    }
+
+    apply({ animate = true } = {}) {
+        const scrollAnimations = this.app.components.scrollAnimations;
+        const cards = this.timeline.container.querySelectorAll('.journey-card');
+        let shown = 0;
+
+        cards.forEach(card => {
+            const visible = this.matches(this.timeline.getMilestone(card.dataset.milestone));
+            const revealed = visible && card.hidden;
+
+            card.hidden = !visible;
+            if (visible) shown++;
+            if (revealed && animate && scrollAnimations) {
+                scrollAnimations.replay(card);
+            }
+        });
+
+        this.timeline.container.querySelectorAll('.year-section').forEach(section => {
+            section.hidden = !section.querySelector('.journey-card:not([hidden])');
+        });
+
+        this.updateResults(shown, cards.length);
+    }
+
+    updateResults(count, total) {
+        const filtered = count < total;
+        const key = count === 0 ? 'team.journey.filters.empty' : 'team.journey.filters.results';
+
+        this.results.setAttribute('data-translate', key);
+        this.results.dataset.translateParams = JSON.stringify({ count, total });
+        this.results.textContent = count === 0
+            ? 'No milestones match these filters.'
+            : `Showing ${count} of ${total} milestones`;
+        this.clearButton.hidden = !filtered;
+
+        const languageSupport = this.app.components.languageSupport;
+        if (languageSupport) {
+            languageSupport.applyTranslations(this.results.parentElement);
+        }
+    }
+
+    destroy() {
+        this.listeners.abort();
+    }
+}
+
+// Query-string parameter for each part of the filter state
+TimelineFilters.PARAMS = {
+    tags: 'tags',
+    query: 'q',
+    from: 'from',
+    to: 'to'
+};
+
+// Team Page Module
+class TeamPage {
+    constructor(app) {
+        this.app = app;
+        this.init();
+    }
+
+    init() {
+        this.setupTimeline();
+    }
+
+    setupTimeline() {
+        const container = document.querySelector('[data-timeline]');
+        if (!container) return;
+
+        this.timeline = new JourneyTimeline(container, this.app);
+
+        const filterForm = document.querySelector('.timeline-filters');
+        if (filterForm) {
+            this.timeline.ready.then(() => {
+                if (this.timeline.data) {
+                    this.filters = new TimelineFilters(filterForm, this.timeline, this.app);
+                }
+            });
+        }
+    }
+}
+
+// Research Methodology Page Module
+class ResearchPage {
+    constructor(app) {
+        this.app = app;
+        this.currentTestimonial = 0;
+        this.rotationTimer = null;
+        this.init();
+    }
+
+    init() {
+        this.setupButtonRipple();
+        this.setupTestimonialRotation();
+        this.setupSectionNavigation();
+    }
+
+    setupButtonRipple() {
+        document.querySelectorAll('.btn').forEach(button => {
+            button.addEventListener('click', (e) => {
+                const ripple = document.createElement('span');
+                const rect = button.getBoundingClientRect();
+                const size = Math.max(rect.width, rect.height);
+
+                ripple.className = 'ripple';
+                ripple.style.width = ripple.style.height = size + 'px';
+                ripple.style.left = (e.clientX - rect.left - size / 2) + 'px';
+                ripple.style.top = (e.clientY - rect.top - size / 2) + 'px';
+                button.appendChild(ripple);
+
+                setTimeout(() => ripple.remove(), 600);
+            });
+        });
+    }
+
+    setupTestimonialRotation() {
+        this.testimonials = document.querySelectorAll('.testimonial');
+        if (this.testimonials.length === 0) return;
+
+        // The highlight keeps moving, so it only runs while motion isn't reduced
+        const motion = this.app.components.motion;
+        if (!(motion && motion.reduced)) this.startTestimonialRotation();
+
+        document.addEventListener('motionchange', (e) => {
+            if (e.detail.reduced) {
+                this.stopTestimonialRotation();
+            } else {
+                this.startTestimonialRotation();
+            }
+        });
+    }
+
+    startTestimonialRotation() {
+        if (this.rotationTimer) return;
+        this.rotationTimer = setInterval(() => this.rotateTestimonials(), 4000);
+    }
+
+    stopTestimonialRotation() {
+        clearInterval(this.rotationTimer);
+        this.rotationTimer = null;
+        this.testimonials.forEach(testimonial => {
+            testimonial.style.removeProperty('transform');
+            testimonial.style.removeProperty('box-shadow');
+        });
+    }
+
+    rotateTestimonials() {
+        this.testimonials.forEach((testimonial, index) => {
+            const isCurrent = index === this.currentTestimonial;
+            testimonial.style.transform = isCurrent ? 'scale(1.02)' : 'scale(1)';
+            testimonial.style.boxShadow = isCurrent ? '0 8px 30px rgba(255, 255, 255, 0.2)' : 'none';
+        });
+
+        this.currentTestimonial = (this.currentTestimonial + 1) % this.testimonials.length;
+    }
+
+    setupSectionNavigation() {
+        // Highlights in-page (#section) links only; page links keep their static active state
+        const sectionLinks = document.querySelectorAll('.nav-links a[href^="#"]');
+        if (sectionLinks.length === 0) return;
+
+        window.addEventListener('scroll', Utils.throttle(() => {
+            let current = '';
+            document.querySelectorAll('section[id]').forEach(section => {
+                if (window.pageYOffset >= section.offsetTop - 200) {
+                    current = section.id;
+                }
+            });
+
+            sectionLinks.forEach(link => {
+                link.classList.toggle('active', link.getAttribute('href') === '#' + current);
+            });
+        }, 100));
+    }
+}
+
+// Citation Formats
+// Reads a bibliography (BibTeX or CSL-JSON) into CSL-JSON items and writes items
+// back out as APA 7 and IEEE reference strings or as .bib and .ris records.
+const Citations = {
+    // BibTeX entry type → CSL type
+    BIBTEX_TYPES: {
+        article: 'article-journal',
+        inproceedings: 'paper-conference',
+        conference: 'paper-conference',
+        book: 'book',
+        incollection: 'chapter',
+        inbook: 'chapter',
+        phdthesis: 'thesis',
+        mastersthesis: 'thesis',
+        techreport: 'report',
+        unpublished: 'manuscript',
+        misc: 'document'
+    },
+
+    // CSL type → BibTeX entry type for exports (theses depend on their genre)
+    BIBTEX_EXPORT_TYPES: {
+        'article-journal': 'article',
+        'paper-conference': 'inproceedings',
+        book: 'book',
+        chapter: 'incollection',
+        report: 'techreport',
+        manuscript: 'unpublished'
+    },
+
+    // CSL type → RIS TY tag
+    RIS_TYPES: {
+        'article-journal': 'JOUR',
+        'paper-conference': 'CPAPER',
+        book: 'BOOK',
+        chapter: 'CHAP',
+        thesis: 'THES',
+        report: 'RPRT',
+        manuscript: 'UNPB'
+    },
+
+    // LaTeX accent command → Unicode combining mark, e.g. {\"o} → ö
+    LATEX_ACCENTS: {
+        "'": '\u0301',
+        '`': '\u0300',
+        '^': '\u0302',
+        '"': '\u0308',
+        '~': '\u0303',
+        '=': '\u0304',
+        '.': '\u0307'
+    },
+
+    parse(text, format) {
+        return format === 'bibtex' ? this.parseBibTeX(text) : JSON.parse(text);
+    },
+
+    parseBibTeX(text) {
+        // Lines starting with % are comments and may contain example entries
+        const source = text.replace(/^[ \t]*%.*$/gm, '');
+        const entryPattern = /@(\w+)\s*\{/g;
+        const items = [];
+        let match;
+
+        while ((match = entryPattern.exec(source))) {
+            const type = match[1].toLowerCase();
+            const end = this.findClosingBrace(source, entryPattern.lastIndex - 1);
+            const body = source.slice(entryPattern.lastIndex, end);
+            entryPattern.lastIndex = end + 1;
+
+            if (['comment', 'preamble', 'string'].includes(type)) continue;
+
+            const comma = body.indexOf(',');
+            items.push(this.bibtexToCSL(type, body.slice(0, comma).trim(), this.parseBibTeXFields(body.slice(comma + 1))));
+        }
+        return items;
+    },
+
+    findClosingBrace(text, open) {
+        let depth = 0;
+        for (let i = open; i < text.length; i++) {
+            if (text[i] === '{') depth++;
+            else if (text[i] === '}' && --depth === 0) return i;
+        }
+        throw new SyntaxError(`Unbalanced braces in BibTeX near "${text.slice(open, open + 40)}"`);
+    },
+
+    // name = {value} | "value" | bare, parts optionally joined with #
+    parseBibTeXFields(body) {
+        const fields = {};
+        const namePattern = /\s*([\w-]+)\s*=\s*/y;
+        let i = 0;
+
+        while (i < body.length) {
+            namePattern.lastIndex = i;
+            const name = namePattern.exec(body);
+            if (!name) break;
+            i = namePattern.lastIndex;
+
+            let value = '';
+            for (;;) {
+                if (body[i] === '{') {
+                    const end = this.findClosingBrace(body, i);
+                    value += body.slice(i + 1, end);
+                    i = end + 1;
+                } else if (body[i] === '"') {
+                    let end = i + 1;
+                    let depth = 0;
+                    while (end < body.length && !(body[end] === '"' && depth === 0)) {
+                        if (body[end] === '{') depth++;
+                        else if (body[end] === '}') depth--;
+                        end++;
+                    }
+                    value += body.slice(i + 1, end);
+                    i = end + 1;
+                } else {
+                    const bare = /[^,#\s}]*/y;
+                    bare.lastIndex = i;
+                    const word = bare.exec(body)[0];
+                    value += word;
+                    i += word.length;
+                }
+
+                const join = /\s*#\s*/y;
+                join.lastIndex = i;
+                if (!join.exec(body)) break;
+                i = join.lastIndex;
+            }
+
+            fields[name[1].toLowerCase()] = value;
+            const separator = /\s*,?/y;
+            separator.lastIndex = i;
+            separator.exec(body);
+            i = separator.lastIndex;
+        }
+        return fields;
+    },
+
+    // Turn LaTeX markup into plain text
+    cleanLaTeX(value) {
+        return value
+            .replace(/\\(['`^"~=.])\s*\{?([a-zA-Z])\}?/g, (match, accent, letter) => (letter + this.LATEX_ACCENTS[accent]).normalize('NFC'))
+            .replace(/\\([&%$#_{}])/g, '$1')
+            .replace(/[{}]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    },
+
+    // Split an author field on top-level "and"s; braced names stay whole
+    parseNames(value) {
+        const names = [];
+        let depth = 0;
+        let start = 0;
+
+        for (let i = 0; i < value.length; i++) {
+            if (value[i] === '{') depth++;
+            else if (value[i] === '}') depth--;
+            else if (depth === 0 && /\s/.test(value[i])) {
+                const separator = /^\s+and\s+/i.exec(value.slice(i));
+                if (separator) {
+                    names.push(value.slice(start, i));
+                    i += separator[0].length - 1;
+                    start = i + 1;
+                }
+            }
+        }
+        names.push(value.slice(start));
+
+        return names.map(name => this.parseName(name.trim())).filter(Boolean);
+    },
+
+    // "Family, Given", "Given Family" or {Organisation Name}
+    parseName(name) {
+        if (!name) return null;
+        if (name.startsWith('{') && this.findClosingBrace(name, 0) === name.length - 1) {
+            return { literal: this.cleanLaTeX(name) };
+        }
+
+        if (name.includes(',')) {
+            const [family, ...given] = name.split(',');
+            return { family: this.cleanLaTeX(family), given: this.cleanLaTeX(given.join(',')) };
+        }
+
+        const words = name.split(/\s+/);
+        return { family: this.cleanLaTeX(words.pop()), given: this.cleanLaTeX(words.join(' ')) };
+    },
+
+    bibtexToCSL(type, key, fields) {
+        const clean = name => (fields[name] ? this.cleanLaTeX(fields[name]) : undefined);
+        const item = {
+            id: key,
+            type: this.BIBTEX_TYPES[type] || 'document',
+            title: clean('title'),
+            author: fields.author ? this.parseNames(fields.author) : undefined,
+            editor: fields.editor ? this.parseNames(fields.editor) : undefined,
+            issued: fields.year ? { 'date-parts': [[Number(fields.year)]] } : undefined,
+            'container-title': clean('journal') || clean('booktitle'),
+            volume: clean('volume'),
+            issue: clean('number'),
+            page: fields.pages ? this.cleanLaTeX(fields.pages).replace(/\s*-+\s*/, '–') : undefined,
+            publisher: clean('publisher') || clean('school') || clean('institution'),
+            'publisher-place': clean('address'),
+            genre: type === 'phdthesis' ? 'Doctoral dissertation' : type === 'mastersthesis' ? "Master's thesis" : undefined,
+            DOI: clean('doi'),
+            URL: fields.url ? fields.url.trim() : undefined,
+            abstract: clean('abstract'),
+            note: clean('note')
+        };
+
+        Object.keys(item).forEach(field => item[field] === undefined && delete item[field]);
+        return item;
+    },
+
+    getYear(item) {
+        const parts = item.issued && item.issued['date-parts'];
+        return (parts && parts[0] && parts[0][0]) || null;
+    },
+
+    citationKey(item) {
+        if (item.id) return String(item.id).replace(/[^\w:-]/g, '');
+
+        const first = (item.author || [])[0] || {};
+        const name = (first.family || first.literal || 'untitled').toLowerCase().replace(/[^a-z0-9]/g, '');
+        return `${name}${this.getYear(item) || ''}`;
+    },
+
+    // "Chang-hwi Minsu" → "C.-H. M."
+    initials(given = '') {
+        return given
+            .split(/\s+/)
+            .filter(Boolean)
+            .map(word => word.split('-').map(part => `${part.charAt(0).toUpperCase()}.`).join('-'))
+            .join(' ');
+    },
+
+    endSentence(text) {
+        return /[.?!]$/.test(text) ? text : `${text}.`;
+    },
+
+    link(item) {
+        if (item.DOI) return `https://doi.org/${item.DOI}`;
+        return item.URL || '';
+    },
+
+    apaAuthors(authors = []) {
+        const names = authors.map(author => author.literal || [author.family, this.initials(author.given)].filter(Boolean).join(', '));
+
+        if (names.length === 0) return '';
+        if (names.length === 1) return this.endSentence(names[0]);
+        if (names.length <= 20) {
+            return this.endSentence(`${names.slice(0, -1).join(', ')}, & ${names[names.length - 1]}`);
+        }
+        return this.endSentence(`${names.slice(0, 19).join(', ')}, . . . ${names[names.length - 1]}`);
+    },
+
+    apa(item) {
+        const year = this.getYear(item) || 'n.d.';
+        const authors = this.apaAuthors(item.author);
+        const container = item['container-title'];
+        let title = this.endSentence(item.title || '');
+        let source = '';
+
+        if (item.type === 'article-journal') {
+            const volume = item.volume ? `, ${item.volume}${item.issue ? `(${item.issue})` : ''}` : '';
+            source = container ? this.endSentence(`${container}${volume}${item.page ? `, ${item.page}` : ''}`) : '';
+        } else if (item.type === 'paper-conference' || item.type === 'chapter') {
+            source = [
+                container && this.endSentence(`In ${container}${item.page ? ` (pp. ${item.page})` : ''}`),
+                item.publisher && this.endSentence(item.publisher)
+            ].filter(Boolean).join(' ');
+        } else if (item.type === 'thesis') {
+            title = this.endSentence(`${item.title || ''} [${[item.genre || 'Thesis', item.publisher].filter(Boolean).join(', ')}]`);
+        } else if (item.publisher || container) {
+            source = this.endSentence(item.publisher || container);
+        }
+
+        // Without authors the title takes their place
+        const lead = authors ? [authors, `(${year}).`, title] : [title, `(${year}).`];
+        return [...lead, source, this.link(item)].filter(Boolean).join(' ');
+    },
+
+    ieeeAuthors(authors = []) {
+        const names = authors.map(author => author.literal || [this.initials(author.given), author.family].filter(Boolean).join(' '));
+
+        if (names.length > 6) return `${names[0]} et al.`;
+        if (names.length <= 2) return names.join(' and ');
+        return `${names.slice(0, -1).join(', ')}, and ${names[names.length - 1]}`;
+    },
+
+    ieee(item) {
+        const year = this.getYear(item);
+        const authors = this.ieeeAuthors(item.author);
+        const container = item['container-title'];
+        const pages = item.page && `pp. ${item.page}`;
+        let title = `“${item.title || ''},”`;
+        let source;
+
+        if (item.type === 'article-journal') {
+            source = [container, item.volume && `vol. ${item.volume}`, item.issue && `no. ${item.issue}`, pages, year];
+        } else if (item.type === 'paper-conference' || item.type === 'chapter') {
+            source = [container && `in ${container}`, item['publisher-place'], year, pages];
+        } else if (item.type === 'thesis') {
+            source = [item.genre || 'Thesis', item.publisher, year];
+        } else if (item.type === 'book') {
+            // Book titles are not quoted; the place and publisher read "City: Publisher"
+            title = this.endSentence(item.title || '');
+            source = [[item['publisher-place'], item.publisher].filter(Boolean).join(': '), year];
+        } else {
+            source = [container || item.publisher, year];
+        }
+
+        const reference = [authors && `${authors},`, title, source.filter(Boolean).join(', ')].filter(Boolean).join(' ');
+        if (item.DOI) return `${reference}, doi: ${item.DOI}.`;
+        return item.URL ? `${this.endSentence(reference)} [Online]. Available: ${item.URL}` : this.endSentence(reference);
+    },
+
+    bibtexType(item) {
+        if (item.type === 'thesis') {
+            return /master/i.test(item.genre || '') ? 'mastersthesis' : 'phdthesis';
+        }
+        return this.BIBTEX_EXPORT_TYPES[item.type] || 'misc';
+    },
+
+    toBibTeX(item) {
+        const type = this.bibtexType(item);
+        const escape = value => String(value).replace(/([&%$#_])/g, '\\$1');
+        const names = list => list.map(name => (name.literal ? `{${escape(name.literal)}}` : [name.family, name.given].filter(Boolean).map(escape).join(', '))).join(' and ');
+        const publisherField = { phdthesis: 'school', mastersthesis: 'school', techreport: 'institution' }[type] || 'publisher';
+        const containerField = type === 'article' ? 'journal' : 'booktitle';
+
+        const fields = [
+            ['author', item.author && item.author.length && names(item.author)],
+            ['editor', item.editor && item.editor.length && names(item.editor)],
+            ['title', item.title && `{${escape(item.title)}}`],
+            [containerField, item['container-title'] && escape(item['container-title'])],
+            ['year', this.getYear(item)],
+            ['volume', item.volume && escape(item.volume)],
+            ['number', item.issue && escape(item.issue)],
+            ['pages', item.page && item.page.replace(/–/g, '--')],
+            [publisherField, item.publisher && escape(item.publisher)],
+            ['address', item['publisher-place'] && escape(item['publisher-place'])],
+            ['doi', item.DOI],
+            ['url', item.URL],
+            ['note', item.note && escape(item.note)]
+        ].filter(([, value]) => value);
+
+        return `@${type}{${this.citationKey(item)},\n${fields.map(([name, value]) => `  ${name} = {${value}}`).join(',\n')}\n}\n`;
+    },
+
+    toRIS(item) {
+        const lines = [['TY', this.RIS_TYPES[item.type] || 'GEN']];
+        const add = (tag, value) => {
+            if (value) lines.push([tag, value]);
+        };
+
+        (item.author || []).forEach(author => add('AU', author.literal || [author.family, author.given].filter(Boolean).join(', ')));
+        add('TI', item.title);
+        add(item.type === 'article-journal' ? 'JO' : 'T2', item['container-title']);
+        add('PY', this.getYear(item));
+        add('VL', item.volume);
+        add('IS', item.issue);
+        if (item.page) {
+            const [start, end] = item.page.split(/\s*[–-]+\s*/);
+            add('SP', start);
+            add('EP', end);
+        }
+        add('PB', item.publisher);
+        add('CY', item['publisher-place']);
+        add('DO', item.DOI);
+        add('UR', item.URL);
+        add('AB', item.abstract);
+        add('N1', item.note);
+        lines.push(['ER', '']);
+
+        return lines.map(([tag, value]) => `${tag}  - ${value}`).join('\r\n') + '\r\n';
+    }
+};
+
+// Publications Page Module
+// Lists the bibliography named by [data-publications] (a .bib file or CSL-JSON),
+// newest first, with type filters, copyable APA/IEEE citations and .bib/.ris
+// downloads for each entry.
+class PublicationsPage {
+    constructor(app) {
+        this.app = app;
+        this.list = document.querySelector('[data-publications]');
+        this.items = [];
+        this.init();
+    }
+
+    async init() {
+        if (!this.list) return;
+
+        try {
+            this.items = await this.load(this.list.dataset.publications);
+        } catch (error) {
+            console.error('Failed to load publications:', error);
+            this.showMessage('publications.unavailable', 'Publications could not be loaded. Please refresh the page to try again.');
+            return;
+        }
+
+        if (this.items.length === 0) {
+            this.showMessage('publications.empty', 'Publications will be listed here soon.');
+            return;
+        }
+
+        this.render();
+        this.renderFilterTabs();
+        this.bindEvents();
+    }
+
+    async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} for ${url}`);
+        }
+
+        const format = /\.bib$/i.test(url.split('?')[0]) ? 'bibtex' : 'csl-json';
+        return Citations.parse(await response.text(), format);
+    }
+
+    getTypeLabel(type) {
+        return this.app.translate(`publications.type.${type}`, PublicationsPage.TYPE_LABELS[type] || PublicationsPage.TYPE_LABELS.document);
+    }
+
+    // Newest first; titles break ties
+    sortItems(order = 'newest') {
+        const direction = order === 'oldest' ? 1 : -1;
+        return [...this.items].sort((a, b) =>
+            ((Citations.getYear(a) || 0) - (Citations.getYear(b) || 0)) * direction ||
+            (a.title || '').localeCompare(b.title || ''));
     }
 
-    sendErrorToService(type, details) {
-        // Implementation for error reporting service
-        // fetch('/api/errors', {
-        //     method: 'POST',
-        //     headers: { 'Content-Type': 'application/json' },
-        //     body: JSON.stringify({ type, details, timestamp: new Date().toISOString() })
-        // });
+    render() {
+        this.list.replaceChildren(...this.sortItems().map(item => this.createCard(item)));
+
+        const scrollAnimations = this.app.components.scrollAnimations;
+        if (scrollAnimations) {
+            this.list.querySelectorAll('.publication-card').forEach(card => scrollAnimations.observe(card));
+        }
+
+        const languageSupport = this.app.components.languageSupport;
+        if (languageSupport) {
+            languageSupport.applyTranslations(this.list);
+        }
+    }
+
+    createCard(item) {
+        const card = document.createElement('article');
+        const year = Citations.getYear(item);
+        const link = Citations.link(item);
+        const authors = (item.author || [])
+            .map(author => author.literal || [author.given, author.family].filter(Boolean).join(' '))
+            .join(', ');
+
+        card.className = 'publication-card fade-in-up';
+        card.dataset.type = item.type;
+        card.dataset.key = Citations.citationKey(item);
+
+        card.innerHTML = `
+            <div class="publication-meta">
+                <span class="publication-type" data-translate="publications.type.${Utils.sanitizeHTML(item.type)}">${Utils.sanitizeHTML(this.getTypeLabel(item.type))}</span>
+                ${year ? `<span class="publication-year">${year}</span>` : ''}
+            </div>
+            <h3 class="publication-title">${Utils.sanitizeHTML(item.title || '')}</h3>
+            ${authors ? `<p class="publication-authors">${Utils.sanitizeHTML(authors)}</p>` : ''}
+            ${item['container-title'] ? `<p class="publication-venue">${Utils.sanitizeHTML(item['container-title'])}</p>` : ''}
+            ${item.abstract ? `
+                <details class="publication-abstract">
+                    <summary data-translate="publications.abstract">Abstract</summary>
+                    <p>${Utils.sanitizeHTML(item.abstract)}</p>
+                </details>
+            ` : ''}
+            <div class="publication-actions">
+                <button type="button" class="publication-action" data-action="copy" data-style="apa" data-translate="publications.copyApa">Copy APA</button>
+                <button type="button" class="publication-action" data-action="copy" data-style="ieee" data-translate="publications.copyIeee">Copy IEEE</button>
+                <button type="button" class="publication-action" data-action="download" data-format="bib" data-translate-aria-label="publications.downloadBib" aria-label="Download BibTeX">.bib</button>
+                <button type="button" class="publication-action" data-action="download" data-format="ris" data-translate-aria-label="publications.downloadRis" aria-label="Download RIS">.ris</button>
+            </div>
+        `;
+
+        if (link) {
+            const anchor = document.createElement('a');
+            anchor.className = 'publication-link';
+            anchor.href = link;
+            anchor.target = '_blank';
+            anchor.rel = 'noopener';
+            anchor.textContent = item.DOI ? `doi:${item.DOI}` : link;
+            card.querySelector('.publication-actions').prepend(anchor);
+        }
+
+        return card;
+    }
+
+    // An "All" tab is in the page; one more per entry type, in first-seen order
+    renderFilterTabs() {
+        const container = document.querySelector('.publication-filters');
+        if (!container) return;
+
+        const types = Array.from(new Set(this.items.map(item => item.type)));
+        types.forEach(type => {
+            const tab = document.createElement('button');
+            tab.type = 'button';
+            tab.className = 'filter-tab';
+            tab.dataset.filter = type;
+            tab.setAttribute('aria-pressed', 'false');
+            tab.setAttribute('data-translate', `publications.type.${type}`);
+            tab.textContent = this.getTypeLabel(type);
+            container.appendChild(tab);
+        });
+
+        const languageSupport = this.app.components.languageSupport;
+        if (languageSupport) {
+            languageSupport.applyTranslations(container);
+        }
+        container.hidden = types.length < 2;
+        this.app.setupPublicationFilters(container.querySelectorAll('.filter-tab'));
+    }
+
+    bindEvents() {
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('.publication-action');
+            if (!button) return;
+
+            const key = button.closest('.publication-card').dataset.key;
+            const item = this.items.find(entry => Citations.citationKey(entry) === key);
+            if (button.dataset.action === 'copy') {
+                this.copyCitation(item, button.dataset.style);
+            } else {
+                this.download(item, button.dataset.format);
+            }
+        });
+
+        const sort = document.querySelector('.publication-sort');
+        if (sort) {
+            sort.addEventListener('change', () => {
+                // Reorder the existing cards so the active filter is kept
+                const cards = new Map(Array.from(this.list.children).map(card => [card.dataset.key, card]));
+                this.sortItems(sort.value).forEach(item => this.list.appendChild(cards.get(Citations.citationKey(item))));
+            });
+        }
+    }
+
+    async copyCitation(item, style) {
+        const citation = style === 'ieee' ? Citations.ieee(item) : Citations.apa(item);
+        const notifications = this.app.components.notifications;
+        const styleName = style.toUpperCase();
+
+        try {
+            await Utils.copyToClipboard(citation);
+            if (notifications) {
+                notifications.success(this.app.translate('publications.copied', '{style} citation copied to the clipboard', { style: styleName }));
+            }
+        } catch (error) {
+            if (notifications) {
+                notifications.error(this.app.translate('publications.copyFailed', 'Could not copy the citation. Please select and copy it manually.'));
+            }
+        }
+    }
+
+    download(item, format) {
+        const key = Citations.citationKey(item);
+        if (format === 'ris') {
+            Utils.downloadFile(Citations.toRIS(item), `${key}.ris`, 'application/x-research-info-systems');
+        } else {
+            Utils.downloadFile(Citations.toBibTeX(item), `${key}.bib`, 'application/x-bibtex');
+        }
+    }
+
+    showMessage(key, fallback) {
+        this.list.innerHTML = `<p class="publications-message" data-translate="${key}">${fallback}</p>`;
+
+        const languageSupport = this.app.components.languageSupport;
+        if (languageSupport) {
+            languageSupport.applyTranslations(this.list);
+        }
     }
 }
 
+// Labels for CSL types until the page's locale file has loaded
+PublicationsPage.TYPE_LABELS = {
+    'article-journal': 'Journal article',
+    'paper-conference': 'Conference paper',
+    book: 'Book',
+    chapter: 'Book chapter',
+    thesis: 'Thesis',
+    report: 'Report',
+    manuscript: 'Manuscript',
+    document: 'Other'
+};
+
 // Main Application Class
 class NeintosickApp {
     constructor() {
         this.components = {};
+        this.componentStatus = {};
+        this.initializationOrder = [];
         this.isInitialized = false;
         this.init();
     }
@@ -1004,100 +7319,208 @@ class NeintosickApp {
     }
 
     initializeComponents() {
-        try {
-            // Initialize error handling first
-            this.components.errorHandler = new ErrorHandler();
-            
-            // Initialize core components
-            this.components.mobileNav = new MobileNavigation();
-            this.components.scrollAnimations = new ScrollAnimations();
-            this.components.smoothScrolling = new SmoothScrolling();
-            this.components.headerEffects = new HeaderEffects();
-            this.components.formValidator = new FormValidator();
-            this.components.notifications = new NotificationSystem();
-            this.components.languageSupport = new LanguageSupport();
-            this.components.accessibility = new AccessibilityHelper();
-            this.components.performanceMonitor = new PerformanceMonitor();
-
-            // Setup global utilities
-            this.setupGlobalUtilities();
-            
-            // Initialize page-specific functionality
-            this.initializePageSpecific();
+        const { requested, disabled } = this.resolveEnabledComponents();
+
+        ComponentRegistry.resolveOrder(requested).forEach(definition => {
+            this.initializeComponent(definition, disabled);
+        });
 
+        // Setup global utilities
+        this.setupGlobalUtilities();
+
+        // Initialize page-specific functionality
+        this.initializePageSpecific();
+
+        const failed = Object.keys(this.componentStatus)
+            .filter(name => this.componentStatus[name].state === 'failed');
+        if (failed.length > 0) {
+            console.warn(`Nein to Sick application initialized without: ${failed.join(', ')}`);
+        } else {
             console.log('Nein to Sick application initialized successfully');
-            
+        }
+    }
+
+    // <body data-components="..."> takes a space or comma separated list. Plain names
+    // limit the page to those components (plus their dependencies); "-name" disables one.
+    resolveEnabledComponents() {
+        const tokens = (document.body.dataset.components || '').split(/[\s,]+/).filter(Boolean);
+        const disabled = new Set(tokens.filter(token => token.startsWith('-')).map(token => token.slice(1)));
+        const enabled = tokens.filter(token => !token.startsWith('-'));
+
+        [...disabled, ...enabled].forEach(name => {
+            if (!ComponentRegistry.get(name)) {
+                console.warn(`data-components refers to unknown component "${name}"`);
+            }
+        });
+
+        return {
+            requested: enabled.length > 0 ? enabled : ComponentRegistry.names(),
+            disabled
+        };
+    }
+
+    initializeComponent(definition, disabled) {
+        const { name, dependencies } = definition;
+
+        if (disabled.has(name)) {
+            this.componentStatus[name] = { state: 'disabled', reason: 'it is disabled on this page' };
+            return;
+        }
+
+        const missing = dependencies.filter(dependency => !this.components[dependency]);
+        if (missing.length > 0) {
+            this.componentStatus[name] = { state: 'skipped', reason: `its dependencies are not loaded (${missing.join(', ')})` };
+            console.warn(`Component "${name}" skipped: missing ${missing.join(', ')}`);
+            return;
+        }
+
+        try {
+            this.components[name] = definition.init(this);
+            this.componentStatus[name] = { state: 'ready' };
+            this.initializationOrder.push(name);
+        } catch (error) {
+            this.componentStatus[name] = { state: 'failed', reason: `it failed to initialize (${error.message})`, error };
+            console.error(`Failed to initialize component "${name}":`, error);
+        }
+    }
+
+    destroyComponent(name) {
+        if (!this.components[name]) return;
+
+        // Tear down dependents first so nothing keeps using a destroyed component
+        this.initializationOrder
+            .filter(other => ComponentRegistry.get(other).dependencies.includes(name))
+            .forEach(other => this.destroyComponent(other));
+
+        try {
+            ComponentRegistry.get(name).destroy(this.components[name]);
         } catch (error) {
-            console.error('Failed to initialize application:', error);
+            console.error(`Failed to destroy component "${name}":`, error);
         }
+
+        delete this.components[name];
+        this.initializationOrder = this.initializationOrder.filter(other => other !== name);
+        this.componentStatus[name] = { state: 'destroyed', reason: 'it has been destroyed' };
+    }
+
+    destroy() {
+        [...this.initializationOrder].reverse().forEach(name => this.destroyComponent(name));
     }
 
     setupGlobalUtilities() {
         // Make utilities globally available
         window.NeintosickUtils = Utils;
         window.notify = this.components.notifications;
-        window.translate = this.components.languageSupport.translate.bind(this.components.languageSupport);
+
+        const languageSupport = this.components.languageSupport;
+        window.translate = languageSupport
+            ? languageSupport.translate.bind(languageSupport)
+            : key => key;
     }
 
-    initializePageSpecific() {
-        const path = window.location.pathname;
-        
-        // Page-specific initializations
-        if (path.includes('contact.html')) {
-            this.initializeContactPage();
-        } else if (path.includes('bandi.html')) {
-            this.initializeBandiPage();
-        } else if (path.includes('publications.html')) {
-            this.initializePublicationsPage();
-        }
-        // Add more page-specific initializations as needed
+    getCurrentPage() {
+        return Utils.getCurrentPage();
     }
 
-    initializeContactPage() {
-        // Contact page specific functionality
-        const contactForm = document.querySelector('#contactForm');
-        if (contactForm) {
-            contactForm.addEventListener('submit', (e) => {
-                e.preventDefault();
-                this.handleContactFormSubmission(contactForm);
-            });
-        }
+    initializePageSpecific() {
+        const page = this.getCurrentPage();
+
+        this.pageModules = PageModules.get(page).map(PageModule => {
+            try {
+                return new PageModule(this);
+            } catch (error) {
+                console.error(`Failed to initialize ${PageModule.name} on ${page}:`, error);
+                return null;
+            }
+        }).filter(Boolean);
     }
 
-    initializeBandiPage() {
-        // Bandi page specific functionality
-        const phoneMockup = document.querySelector('.phone-mockup');
-        if (phoneMockup) {
-            this.setupPhoneMockupInteraction(phoneMockup);
+    // spamGuard is optional so the pipeline also works for forms without protection
+    async handleContactFormSubmission(form, { spamGuard } = {}) {
+        const notifications = this.getComponent('notifications');
+        const formValidator = this.getComponent('formValidator');
+        const submitButton = form.querySelector('[type="submit"]');
+
+        if (form.getAttribute('aria-busy') === 'true') return;
+        if (!(await formValidator.validateFormAsync(form))) return;
+
+        let data = Object.fromEntries(new FormData(form));
+        if (spamGuard) {
+            try {
+                data = await spamGuard.check(data);
+            } catch (error) {
+                if (error instanceof SpamBlockedError) {
+                    console.warn(`Contact submission blocked (${error.reason})`);
+                    notifications.warning(error.message);
+                } else {
+                    console.error('Contact form misconfigured:', error);
+                    notifications.error(this.translate('contact.send.unavailable',
+                        'Sorry, the form is unavailable. Please email us at {email}.', { email: CONFIG.contact.recipient }));
+                }
+                return;
+            }
         }
-    }
 
-    initializePublicationsPage() {
-        // Publications page specific functionality
-        const filterTabs = document.querySelectorAll('.filter-tab');
-        if (filterTabs.length > 0) {
-            this.setupPublicationFilters(filterTabs);
+        const transportType = form.dataset.transport || CONFIG.contact.transport;
+        let transport;
+        try {
+            transport = ContactTransport.create(transportType, {
+                endpoint: form.dataset.endpoint
+            });
+        } catch (error) {
+            console.error('Contact form misconfigured:', error);
+            notifications.error(this.translate('contact.send.unavailable',
+                'Sorry, the form is unavailable. Please email us at {email}.', { email: CONFIG.contact.recipient }));
+            return;
         }
-    }
 
-    handleContactFormSubmission(form) {
-        const formData = new FormData(form);
-        const data = Object.fromEntries(formData);
-        
-        // Simulate form submission
-        this.components.notifications.info('Sending message...');
-        
-        setTimeout(() => {
-            this.components.notifications.success('Message sent successfully! We\'ll respond within 48 hours.');
+        // Pending state
+        form.setAttribute('aria-busy', 'true');
+        if (submitButton) submitButton.disabled = true;
+        const pending = notifications.show(this.translate('contact.send.pending', 'Sending message...'), 'info', 0);
+        const clearForm = () => {
             form.reset();
-        }, 2000);
-    }
+            form.querySelectorAll('input, select, textarea').forEach(field => {
+                formValidator.clearFieldError(field);
+            });
+        };
 
-    setupPhoneMockupInteraction(mockup) {
-        mockup.addEventListener('click', () => {
-            mockup.classList.add('pulse');
-            setTimeout(() => mockup.classList.remove('pulse'), 1000);
-        });
+        try {
+            const result = await transport.send(data);
+            if (spamGuard) spamGuard.recordSubmission();
+
+            if (result.confirmed) {
+                notifications.success(this.translate('contact.send.success', 'Message sent successfully! We\'ll respond within 48 hours.'));
+                clearForm();
+            } else {
+                // Keep the text in the form: we cannot tell whether the mail client sent it
+                notifications.info(this.translate('contact.send.mailto', 'Your email app should open with the message filled in. Please send it from there.'));
+            }
+        } catch (error) {
+            if (error.retryable && this.hasComponent('submissionQueue')) {
+                this.getComponent('submissionQueue').add({
+                    transport: transportType,
+                    endpoint: form.dataset.endpoint,
+                    data,
+                    draftKey: FormDrafts.keyFor(form)
+                });
+                if (spamGuard) spamGuard.recordSubmission();
+                notifications.info(this.translate('outbox.queued',
+                    'We could not reach the server, so your message is saved on this device. It will be sent automatically once you are back online.'));
+                clearForm();
+            } else {
+                const reason = this.describeTransportError(error);
+                notifications.error(this.translate('contact.send.failed', '{reason} You can also email us at {email}.',
+                    { reason, email: transport.recipient }), {
+                    persistent: true,
+                    actions: [{ label: this.translate('contact.send.retry', 'Try again'), onClick: () => form.requestSubmit() }]
+                });
+            }
+        } finally {
+            notifications.remove(pending);
+            form.removeAttribute('aria-busy');
+            if (submitButton) submitButton.disabled = false;
+        }
     }
 
     setupPublicationFilters(tabs) {
@@ -1111,15 +7534,17 @@ class NeintosickApp {
     }
 
     filterPublications(filter) {
+        const scrollAnimations = this.components.scrollAnimations;
         const publications = document.querySelectorAll('.publication-card');
         publications.forEach(pub => {
-            const types = pub.dataset.type || '';
+            const types = (pub.dataset.type || '').split(' ');
             const shouldShow = filter === 'all' || types.includes(filter);
-            
-            pub.style.display = shouldShow ? 'block' : 'none';
-            
-            if (shouldShow) {
-                pub.classList.add('fade-in-up');
+            const revealed = shouldShow && pub.style.display === 'none';
+
+            pub.style.display = shouldShow ? '' : 'none';
+
+            if (revealed && scrollAnimations) {
+                scrollAnimations.replay(pub);
             }
         });
     }
@@ -1127,28 +7552,101 @@ class NeintosickApp {
     updateActiveTab(activeTab) {
         document.querySelectorAll('.filter-tab').forEach(tab => {
             tab.classList.remove('active');
+            tab.setAttribute('aria-pressed', 'false');
         });
         activeTab.classList.add('active');
+        activeTab.setAttribute('aria-pressed', 'true');
     }
 
     // Public API methods
     getComponent(name) {
-        return this.components[name];
+        if (this.components[name]) {
+            return this.components[name];
+        }
+
+        const status = this.componentStatus[name];
+        let reason = status ? status.reason : 'it has not been initialized yet';
+        if (!ComponentRegistry.get(name)) {
+            reason = 'no such component is registered';
+        }
+        throw new Error(`Component "${name}" is not loaded: ${reason}`);
+    }
+
+    hasComponent(name) {
+        return Boolean(this.components[name]);
+    }
+
+    // The visitor's language; the site default until LanguageSupport is running
+    getLanguage() {
+        const languageSupport = this.components.languageSupport;
+        return languageSupport ? languageSupport.currentLanguage : CONFIG.language;
+    }
+
+    // Pick a language (the current one by default) from an { en, ko } field, falling
+    // back to the site default
+    localize(field, language = this.getLanguage()) {
+        if (!field) return '';
+        if (typeof field === 'string') return field;
+        return field[language] || field[CONFIG.language] || '';
+    }
+
+    translate(key, fallback, params = {}) {
+        const languageSupport = this.components.languageSupport;
+        if (languageSupport && languageSupport.hasTranslation(key)) {
+            return languageSupport.translate(key, params);
+        }
+        return fallback.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    }
+
+    // A TransportError's message in the current language; reasons a form service
+    // sent itself have no code and are shown as they came
+    describeTransportError(error) {
+        return error.code ? this.translate(`contact.error.${error.code}`, error.message, error.params) : error.message;
     }
 
     showNotification(message, type = 'info') {
-        return this.components.notifications.show(message, type);
+        return this.getComponent('notifications').show(message, type);
     }
 
     validateForm(form) {
-        return this.components.formValidator.validateForm(form);
+        return this.getComponent('formValidator').validateForm(form);
     }
 }
 
+// Register core components
+ComponentRegistry.register({ name: 'errorHandler', init: () => new ErrorHandler() });
+ComponentRegistry.register({ name: 'mobileNav', init: () => new MobileNavigation() });
+ComponentRegistry.register({ name: 'motion', init: () => new MotionPreference() });
+ComponentRegistry.register({ name: 'scrollAnimations', dependencies: ['motion'], init: app => new ScrollAnimations(app) });
+ComponentRegistry.register({ name: 'responsiveImages', init: () => new ResponsiveImages() });
+ComponentRegistry.register({ name: 'smoothScrolling', dependencies: ['motion'], init: app => new SmoothScrolling(app) });
+ComponentRegistry.register({ name: 'headerEffects', dependencies: ['motion'], init: app => new HeaderEffects(app) });
+ComponentRegistry.register({ name: 'formValidator', init: app => new FormValidator(app) });
+ComponentRegistry.register({ name: 'notifications', init: app => new NotificationSystem(app) });
+ComponentRegistry.register({ name: 'languageSupport', init: () => new LanguageSupport() });
+ComponentRegistry.register({ name: 'theme', dependencies: ['languageSupport'], init: app => new ThemeManager(app) });
+ComponentRegistry.register({ name: 'statCounter', dependencies: ['motion', 'scrollAnimations', 'languageSupport'], init: app => new StatCounter(app) });
+ComponentRegistry.register({ name: 'formDrafts', dependencies: ['formValidator'], init: app => new FormDrafts(app) });
+ComponentRegistry.register({ name: 'submissionQueue', dependencies: ['notifications'], init: app => new SubmissionQueue(app) });
+ComponentRegistry.register({ name: 'accessibility', init: () => new AccessibilityHelper() });
+ComponentRegistry.register({ name: 'lightbox', dependencies: ['languageSupport'], init: app => new Lightbox(app) });
+ComponentRegistry.register({ name: 'search', dependencies: ['languageSupport', 'smoothScrolling'], init: app => new SiteSearch(app) });
+ComponentRegistry.register({ name: 'downloads', dependencies: ['languageSupport'], init: app => new AppDownloads(app) });
+ComponentRegistry.register({ name: 'analytics', dependencies: ['languageSupport'], init: app => new Analytics(app) });
+ComponentRegistry.register({ name: 'crisisResources', init: app => new CrisisResources(app) });
+ComponentRegistry.register({ name: 'performanceMonitor', init: () => new PerformanceMonitor() });
+
+// Register page modules
+PageModules.register('contact', ContactPage);
+PageModules.register('bandi', BandiPage);
+PageModules.register('team', TeamPage);
+PageModules.register('research-methodology', ResearchPage);
+PageModules.register('publications', PublicationsPage);
+
 // Initialize application
 const app = new NeintosickApp();
 
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { NeintosickApp, Utils };
+    module.exports = { NeintosickApp, Utils, ComponentRegistry, PageModules };
 }
\ No newline at end of file
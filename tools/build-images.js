@@ -0,0 +1,122 @@
+'use strict';
+
+// Builds the responsive image variants the site's lazy loader picks from: resized
+// AVIF and WebP copies of every PNG/JPEG under assets/images, plus a tiny blurred
+// preview shown while the real image downloads.
+//
+//   npm install --no-save sharp
+//   node tools/build-images.js [--force]
+//
+// Output goes to assets/images/optimized/ (same folder layout as the sources) with a
+// manifest.json the site reads (CONFIG.images.manifest). Unchanged images are skipped
+// unless --force is given. Commit the output together with new or changed images.
+
+const fs = require('fs');
+const path = require('path');
+
+let sharp;
+try {
+    sharp = require('sharp');
+} catch (error) {
+    console.error('This script needs sharp: run `npm install --no-save sharp` first.');
+    process.exit(1);
+}
+
+const ROOT = path.resolve(__dirname, '..');
+const SOURCE = path.join(ROOT, 'assets/images');
+const OUTPUT = path.join(SOURCE, 'optimized');
+const MANIFEST = path.join(OUTPUT, 'manifest.json');
+const FORCE = process.argv.includes('--force');
+
+const WIDTHS = [320, 640, 960, 1600];
+const EXTENSIONS = ['.png', '.jpg', '.jpeg'];
+
+// Best supported format first: the site offers them in this order
+const FORMATS = {
+    avif: image => image.avif({ quality: 50, effort: 4 }),
+    webp: image => image.webp({ quality: 72 })
+};
+
+const PLACEHOLDER_WIDTH = 24;
+
+// Site-relative path with forward slashes, as used in src attributes
+function toUrl(file) {
+    return path.relative(ROOT, file).split(path.sep).join('/');
+}
+
+function findImages(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) return file === OUTPUT ? [] : findImages(file);
+        return EXTENSIONS.includes(path.extname(entry.name).toLowerCase()) ? [file] : [];
+    });
+}
+
+function isFresh(output, source) {
+    return !FORCE && fs.existsSync(output) && fs.statSync(output).mtimeMs >= fs.statSync(source).mtimeMs;
+}
+
+// Never upscale: widths wider than the source collapse into the source width
+function getWidths(sourceWidth) {
+    const widths = WIDTHS.filter(width => width < sourceWidth);
+    return widths.length < WIDTHS.length ? [...widths, sourceWidth] : widths;
+}
+
+async function buildImage(file) {
+    const { width, height } = await sharp(file).metadata();
+    const base = path.join(OUTPUT, path.relative(SOURCE, file)).replace(/\.[^.]+$/, '');
+    const srcset = {};
+
+    fs.mkdirSync(path.dirname(base), { recursive: true });
+
+    for (const [format, encode] of Object.entries(FORMATS)) {
+        const candidates = [];
+        for (const variantWidth of getWidths(width)) {
+            const output = `${base}-${variantWidth}.${format}`;
+            if (!isFresh(output, file)) {
+                await encode(sharp(file).rotate().resize({ width: variantWidth })).toFile(output);
+            }
+            candidates.push(`${toUrl(output)} ${variantWidth}w`);
+        }
+        srcset[format] = candidates.join(', ');
+    }
+
+    const preview = await sharp(file)
+        .rotate()
+        .resize({ width: PLACEHOLDER_WIDTH })
+        .blur()
+        .webp({ quality: 40 })
+        .toBuffer();
+
+    return {
+        width,
+        height,
+        placeholder: `data:image/webp;base64,${preview.toString('base64')}`,
+        srcset
+    };
+}
+
+async function main() {
+    const images = findImages(SOURCE);
+    const manifest = {};
+    let sourceBytes = 0;
+
+    for (const file of images) {
+        const url = toUrl(file);
+        try {
+            manifest[url] = await buildImage(file);
+            sourceBytes += fs.statSync(file).size;
+            console.log(`  ${url} (${manifest[url].width}x${manifest[url].height})`);
+        } catch (error) {
+            console.warn(`  skipped ${url}: ${error.message}`);
+        }
+    }
+
+    fs.writeFileSync(MANIFEST, `${JSON.stringify(manifest, null, 2)}\n`);
+    console.log(`\n${Object.keys(manifest).length} of ${images.length} image(s), ${(sourceBytes / 1048576).toFixed(1)} MB of sources -> ${toUrl(MANIFEST)}`);
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
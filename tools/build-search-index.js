@@ -0,0 +1,215 @@
+'use strict';
+
+// Builds data/search-index.json, the index the site search palette reads: every
+// heading and paragraph in the pages' <main> content plus the journey milestones,
+// in English and Korean (from locales/), with a selector to jump to.
+//
+//   node tools/build-search-index.js
+//
+// Re-run it after changing page copy, translations or data/milestones.json and
+// commit the result.
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const OUTPUT = path.join(ROOT, 'data/search-index.json');
+const LANGUAGES = ['en', 'ko'];
+
+const INDEXED_TAGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p'];
+const HEADING_TAGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+// Site chrome repeated on every page
+const SKIPPED_TAGS = ['header', 'nav', 'footer', 'script', 'style', 'noscript', 'template'];
+const VOID_TAGS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+const RAW_TEXT_TAGS = ['script', 'style'];
+
+const TAG_PATTERN = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s=>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*\/?>/g;
+const ATTRIBUTE_PATTERN = /([^\s=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', rarr: '→', larr: '←', middot: '·', bull: '•', copy: '©' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+// Markup (from a page or a data-translate-html string) to plain text
+function toText(html) {
+    return decodeEntities(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+function parseAttributes(source) {
+    const attributes = {};
+    for (const match of source.matchAll(ATTRIBUTE_PATTERN)) {
+        attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+    }
+    return attributes;
+}
+
+function readJson(file) {
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+}
+
+// { en: {...}, ko: {...} } of the page's and the shared translations
+function loadTranslations(page) {
+    return Object.fromEntries(LANGUAGES.map(language => [language, {
+        ...readJson(path.join(ROOT, 'locales', language, 'common.json')),
+        ...readJson(path.join(ROOT, 'locales', language, `${page}.json`))
+    }]));
+}
+
+// Text in every language: the translation when the element has a key, else the page's own text
+function localize(translations, key, fallback) {
+    const english = key && typeof translations.en[key] === 'string' ? toText(translations.en[key]) : fallback;
+    return Object.fromEntries(LANGUAGES.map(language => {
+        const value = key && translations[language][key];
+        return [language, typeof value === 'string' ? toText(value) : english];
+    }));
+}
+
+// Shortest selector that finds the element again: its id, its translation key when
+// no other element shares it, or an nth-of-type path from the nearest ancestor with an id
+function getSelector(node, stack, keyCounts) {
+    if (node.attributes.id) return `#${node.attributes.id}`;
+
+    const key = node.attributes['data-translate'] || node.attributes['data-translate-html'];
+    if (key && keyCounts[key] === 1) {
+        const attribute = node.attributes['data-translate'] ? 'data-translate' : 'data-translate-html';
+        return `[${attribute}="${key}"]`;
+    }
+
+    const steps = [];
+    for (const current of [...stack, node].reverse()) {
+        if (current.attributes.id) {
+            steps.unshift(`#${current.attributes.id}`);
+            return steps.join(' > ');
+        }
+        if (current.tag === 'body') {
+            steps.unshift('body');
+            return steps.join(' > ');
+        }
+        steps.unshift(`${current.tag}:nth-of-type(${current.position})`);
+    }
+    return steps.join(' > ');
+}
+
+function indexPage(file) {
+    const page = path.basename(file, '.html');
+    const html = fs.readFileSync(file, 'utf8');
+    const translations = loadTranslations(page);
+    const entries = [];
+
+    const keyCounts = {};
+    for (const match of html.matchAll(/data-translate(?:-html)?="([^"]+)"/g)) {
+        keyCounts[match[1]] = (keyCounts[match[1]] || 0) + 1;
+    }
+
+    const titleMatch = html.match(/<title([^>]*)>([\s\S]*?)<\/title>/);
+    const titleKey = titleMatch && parseAttributes(titleMatch[1])['data-translate'];
+    // "Our Team | Nein to Sick" -> "Our Team"
+    const title = Object.fromEntries(Object.entries(localize(translations, titleKey, toText(titleMatch ? titleMatch[2] : page)))
+        .map(([language, text]) => [language, text.split(' | ')[0]]));
+
+    const stack = [{ tag: '#document', attributes: {}, childCounts: {} }];
+    let section = null;
+
+    TAG_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = TAG_PATTERN.exec(html))) {
+        const [source, closing, rawTag, rawAttributes] = match;
+        if (source.startsWith('<!--')) continue;
+        const tag = rawTag.toLowerCase();
+
+        if (!closing) {
+            const parent = stack[stack.length - 1];
+            parent.childCounts[tag] = (parent.childCounts[tag] || 0) + 1;
+            if (VOID_TAGS.includes(tag) || source.endsWith('/>')) continue;
+
+            stack.push({
+                tag,
+                attributes: parseAttributes(rawAttributes),
+                childCounts: {},
+                position: parent.childCounts[tag],
+                contentStart: TAG_PATTERN.lastIndex
+            });
+
+            // Skip straight past script and style bodies
+            if (RAW_TEXT_TAGS.includes(tag)) {
+                const end = html.indexOf(`</${tag}`, TAG_PATTERN.lastIndex);
+                TAG_PATTERN.lastIndex = end === -1 ? html.length : end;
+            }
+            continue;
+        }
+
+        // Close the element, tolerating unclosed children
+        const openIndex = stack.map(node => node.tag).lastIndexOf(tag);
+        if (openIndex < 1) continue;
+        const node = stack[openIndex];
+        const ancestors = stack.slice(0, openIndex);
+        stack.length = openIndex;
+
+        if (!INDEXED_TAGS.includes(tag)) continue;
+        if (ancestors.some(ancestor => SKIPPED_TAGS.includes(ancestor.tag))) continue;
+        if (!ancestors.some(ancestor => ancestor.tag === 'main')) continue;
+
+        const key = node.attributes['data-translate'] || node.attributes['data-translate-html'];
+        const text = localize(translations, key, toText(html.slice(node.contentStart, match.index)));
+        if (text.en.length < 3) continue;
+
+        const isHeading = HEADING_TAGS.includes(tag);
+        entries.push({
+            page,
+            type: isHeading ? 'heading' : 'text',
+            selector: getSelector(node, ancestors.slice(1), keyCounts),
+            section: tag === 'h1' || tag === 'h2' ? null : section,
+            text
+        });
+
+        if (tag === 'h1' || tag === 'h2') section = text;
+    }
+
+    return { page, title, url: `${page}.html`, entries };
+}
+
+// Milestone cards are rendered from data, so they are not in team.html's markup
+function indexMilestones() {
+    const file = path.join(ROOT, 'data/milestones.json');
+    if (!fs.existsSync(file)) return [];
+
+    const { milestones = [] } = readJson(file);
+    const section = localize(loadTranslations('team'), 'team.journey.title', 'Our Journey');
+
+    return milestones.flatMap(milestone => {
+        const selector = `[data-milestone="${milestone.id}"]`;
+        return [
+            { page: 'team', type: 'heading', selector, section, text: milestone.title },
+            { page: 'team', type: 'text', selector, section, text: milestone.description }
+        ];
+    });
+}
+
+function main() {
+    const files = fs.readdirSync(ROOT)
+        .filter(name => name.endsWith('.html'))
+        .sort()
+        .map(name => path.join(ROOT, name));
+
+    const pages = {};
+    const entries = [];
+    files.forEach(file => {
+        const result = indexPage(file);
+        pages[result.page] = { title: result.title, url: result.url };
+        entries.push(...result.entries);
+    });
+    entries.push(...indexMilestones());
+
+    fs.writeFileSync(OUTPUT, `${JSON.stringify({ pages, entries }, null, 2)}\n`);
+    console.log(`${entries.length} entries from ${files.length} page(s) -> ${path.relative(ROOT, OUTPUT)}`);
+}
+
+main();
@@ -0,0 +1,114 @@
+'use strict';
+
+// Local development server: serves the site and stands in for the endpoints the
+// site reports to, printing whatever it receives.
+//
+//   node tools/mock-server.js [port]
+//
+// Point the matching CONFIG entry at it, e.g. errorReporting.endpoint = '/api/errors'.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const PORT = Number(process.argv[2]) || 8080;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+// POST handlers, keyed by path
+const endpoints = {
+    '/api/errors'(payload) {
+        const { context = {}, reports = [] } = payload;
+        console.log(`\n[errors] ${reports.length} report(s) from ${context.page} (${context.language}, ${context.device}, v${context.version})`);
+        reports.forEach(report => {
+            console.log(`  ${report.type} x${report.count}: ${report.message} [${report.fingerprint}]`);
+            if (report.stack) console.log(report.stack.split('\n').slice(0, 3).map(line => `    ${line}`).join('\n'));
+        });
+    },
+
+    '/api/vitals'(payload) {
+        const { context = {}, metrics = [] } = payload;
+        console.log(`\n[vitals] ${context.page} (${context.language}, ${context.device}, v${context.version})`);
+        metrics.forEach(metric => {
+            const culprit = metric.attribution && (metric.attribution.element || metric.attribution.url);
+            console.log(`  ${metric.name} ${metric.value} ${metric.rating}${culprit ? ` <- ${culprit}` : ''}`);
+        });
+    },
+
+    '/api/analytics'(payload) {
+        const { context = {}, events = [] } = payload;
+        console.log(`\n[analytics] ${events.length} event(s) from ${context.page} view ${context.view} (${context.language}, ${context.device})`);
+        events.forEach(event => {
+            const { type, timestamp, ...data } = event;
+            console.log(`  ${type} ${JSON.stringify(data)}`);
+        });
+    }
+};
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', () => resolve(body));
+        request.on('error', reject);
+    });
+}
+
+async function handlePost(request, response, pathname) {
+    const handler = endpoints[pathname];
+    if (!handler) {
+        response.writeHead(404).end();
+        return;
+    }
+
+    try {
+        handler(JSON.parse(await readBody(request)));
+        response.writeHead(204).end();
+    } catch (error) {
+        console.warn(`[${pathname}] bad payload:`, error.message);
+        response.writeHead(400).end();
+    }
+}
+
+function serveFile(response, pathname) {
+    const file = path.join(ROOT, pathname.endsWith('/') ? `${pathname}index.html` : pathname);
+    if (!file.startsWith(ROOT)) {
+        response.writeHead(403).end();
+        return;
+    }
+
+    fs.readFile(file, (error, content) => {
+        if (error) {
+            response.writeHead(404).end();
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream' });
+        response.end(content);
+    });
+}
+
+http.createServer((request, response) => {
+    const { pathname } = new URL(request.url, `http://${request.headers.host}`);
+
+    if (request.method === 'POST') {
+        handlePost(request, response, pathname);
+    } else {
+        serveFile(response, decodeURIComponent(pathname));
+    }
+}).listen(PORT, () => {
+    console.log(`Serving ${ROOT} at http://localhost:${PORT}`);
+    console.log(`Mock endpoints: ${Object.keys(endpoints).join(', ')}`);
+});